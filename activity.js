@@ -0,0 +1,64 @@
+// Task activity for the popup dashboard.
+// Finished tasks are kept in chrome.storage.local (newest first, capped) together with
+// counters for the current day, so the history survives service-worker restarts.
+
+const ACTIVITY_STORAGE_KEY = 'taskActivity';
+const ACTIVITY_HISTORY_LIMIT = 50;
+
+// Writes are chained so tasks finishing together don't overwrite each other's entries
+let activityWriteChain = Promise.resolve();
+
+function getActivityDate(timestamp = Date.now()) {
+  // Local calendar day as YYYY-MM-DD
+  return new Date(timestamp).toLocaleDateString('sv-SE');
+}
+
+function createActivityCounters(date = getActivityDate()) {
+  return { date, completed: 0, failed: 0, bytes: 0 };
+}
+
+async function loadTaskActivity() {
+  const stored = (await chrome.storage.local.get(ACTIVITY_STORAGE_KEY))[ACTIVITY_STORAGE_KEY] || {};
+  const today = getActivityDate();
+
+  return {
+    history: Array.isArray(stored.history) ? stored.history : [],
+    // Counters start over on a new day
+    counters: stored.counters?.date === today ? stored.counters : createActivityCounters(today)
+  };
+}
+
+function recordTaskActivity(entry) {
+  activityWriteChain = activityWriteChain.then(async () => {
+    const activity = await loadTaskActivity();
+
+    activity.history = [entry, ...activity.history].slice(0, ACTIVITY_HISTORY_LIMIT);
+    activity.counters[entry.status === 'completed' ? 'completed' : 'failed']++;
+    activity.counters.bytes += entry.bytes || 0;
+
+    await chrome.storage.local.set({ [ACTIVITY_STORAGE_KEY]: activity });
+  }).catch(error => {
+    // Activity is informational; never let it fail a task
+    log.warn(`Could not record activity for job ${entry.jobId}:`, error);
+  });
+  return activityWriteChain;
+}
+
+// Approximate size of what a task captured, in bytes
+function measureResultBytes(result) {
+  if (!result) {
+    return 0;
+  }
+
+  let bytes = 0;
+  if (typeof result.htmlContent === 'string') {
+    bytes += new TextEncoder().encode(result.htmlContent).length;
+  }
+  if (typeof result.screenshotBase64 === 'string') {
+    bytes += Math.floor(result.screenshotBase64.length * 3 / 4);
+  }
+  if (result.extractedData) {
+    bytes += new TextEncoder().encode(JSON.stringify(result.extractedData)).length;
+  }
+  return bytes;
+}
@@ -1,8 +1,12 @@
 // Alternative version with hidden tabs (for reference)
-async function getPageHTMLHidden(url) {
+async function getPageHTMLHidden(url, timeoutMs = 60000) {
+  let newTab = null;
+  let timeoutId = null;
+  let listener = null;
+  
   try {
     // Create a completely hidden tab (not visible in UI)
-    const newTab = await chrome.tabs.create({
+    newTab = await chrome.tabs.create({
       url: url,
       active: false,
       pinned: false,
@@ -11,14 +15,15 @@ async function getPageHTMLHidden(url) {
     
     console.log('Created hidden tab:', newTab.id);
     
-    // Wait for page to load
-    await new Promise((resolve) => {
-      chrome.tabs.onUpdated.addListener(function listener(tabId, changeInfo) {
+    // Wait for page to load, giving up after timeoutMs
+    await new Promise((resolve, reject) => {
+      listener = function(tabId, changeInfo) {
         if (tabId === newTab.id && changeInfo.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
           resolve();
         }
-      });
+      };
+      chrome.tabs.onUpdated.addListener(listener);
+      timeoutId = setTimeout(() => reject(new Error(`Page load timed out after ${timeoutMs}ms`)), timeoutMs);
     });
     
     // Execute script to get page HTML
@@ -27,10 +32,6 @@ async function getPageHTMLHidden(url) {
       func: () => document.documentElement.outerHTML
     });
     
-    // Close the hidden tab after getting HTML
-    await chrome.tabs.remove(newTab.id);
-    console.log('Closed hidden tab:', newTab.id);
-    
     return {
       htmlContent: results[0].result
     };
@@ -38,5 +39,16 @@ async function getPageHTMLHidden(url) {
   } catch (error) {
     console.error('Error getting page HTML:', error);
     throw error;
+    
+  } finally {
+    // Always unregister the listener and close the hidden tab
+    clearTimeout(timeoutId);
+    if (listener) {
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+    if (newTab) {
+      await chrome.tabs.remove(newTab.id).catch(() => {});
+      console.log('Closed hidden tab:', newTab.id);
+    }
   }
 }
@@ -1,238 +1,1521 @@
-// Configuration - you'll need to update these URLs
-const CLOUDFLARE_WORKER_URL = 'https://behalf-task-manager-production.dev-a96.workers.dev'; // Update this
-const TASK_CHECK_ENDPOINT = '/api/check-task';
-const TASK_REPORT_ENDPOINT = '/api/report-task';
+importScripts('profiles.js', 'logger.js', 'task-handlers.js', 'outbox.js', 'activity.js');
 
-let taskCheckInterval = null;
+// Endpoints of the v2 worker API; the worker URL comes from the active profile
+const LEASE_ENDPOINT = '/lease';
+const HEARTBEAT_ENDPOINT = '/heartbeat';
+const SUBMIT_ENDPOINT = '/submit';
+const SUBMIT_RAW_ENDPOINT = '/submit/raw';
+const FAIL_ENDPOINT = '/fail';
+const UPLOADS_ENDPOINT = '/uploads';
+const HEALTH_ENDPOINT = '/health';
+const REGISTER_ENDPOINT = '/register';
+const BROWSER_CONFIG_ENDPOINT = '/browser-config';
+const CONNECT_ENDPOINT = '/connect';
+const BROWSER_JOBS_ENDPOINT = '/browser-jobs';
+const TASK_SOCKET_PROTOCOL = 'behalf-tasks';
+const SOCKET_KEEPALIVE_MS = 20 * 1000; // Also keeps the service worker alive while connected
+const SOCKET_RECONNECT_BASE_MS = 1000;
+const SOCKET_RECONNECT_MAX_MS = 60 * 1000;
+const BUSY_POLL_DELAY_MS = 5 * 1000; // Poll again quickly after finding work
+const IDLE_POLL_BASE_MS = 15 * 1000; // Empty polls back off from here up to the profile interval
+const ERROR_POLL_BASE_MS = 30 * 1000; // Failed polls back off from here...
+const ERROR_POLL_MAX_MS = 15 * 60 * 1000; // ...up to this
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000; // Until the worker advertises heartbeat_interval_ms
+const DEFAULT_MAX_WAIT_MS = 30 * 1000; // Readiness budget when a task sets conditions without maxWaitMs
+const PARTIAL_CAPTURE_TIMEOUT_MS = 5 * 1000; // How long to try reading HTML from a timed-out tab
+const CHUNKED_UPLOAD_THRESHOLD_BYTES = 8 * 1024 * 1024; // Larger pages use a resumable upload session
+
+let pollTimer = null;
+let idlePollCount = 0;
+let failedPollCount = 0;
+let currentProfileName = null;
+let currentWorkerUrl = DEFAULT_WORKER_URL;
+let currentAuthToken = '';
 let currentBrowserId = null;
-let currentTaskInterval = 300; // Default 5 minutes
+let currentTaskInterval = DEFAULT_TASK_INTERVAL;
+let currentConcurrency = DEFAULT_CONCURRENCY;
+let currentMaxTabs = DEFAULT_MAX_TABS;
+let currentTaskTimeoutMs = null; // Falls back to each handler's own timeout
+let currentAllowedDomains = [];
+let currentPool = null;
+let currentTags = [];
+let currentParamDefaults = {};
+
+// Effective config from the worker (lease responses and GET /browser-config). Its
+// non-null pollIntervalMs and concurrency override the profile, so the fleet is tuned centrally.
+let serverConfig = {};
+
+// Task pool: leased tasks run in parallel up to getConcurrency(), and all task tabs
+// together stay under currentMaxTabs
+let runningTaskCount = 0;
+let isFillingPool = false;
+let isTaskCheckQueued = false;
+let openTaskTabCount = 0;
+const tabSlotWaiters = [];
+
+// Leases of running tasks, heartbeated together on the interval the worker advertises
+const heartbeatLeases = new Map(); // jobId -> task
+let heartbeatTimer = null;
+let currentHeartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS;
+
+let isProcessingOutbox = false;
+let outboxFlushTimer = null;
+const outboxUploadsInFlight = new Set(); // jobIds of outbox entries being uploaded
+
+// Push connection to the worker; the poll timer only runs while it is down
+let taskSocket = null;
+let taskSocketKeepalive = null;
+let taskSocketReconnectTimer = null;
+let taskSocketReconnectDelayMs = SOCKET_RECONNECT_BASE_MS;
 
 // Initialize on extension load
 chrome.runtime.onStartup.addListener(initializeExtension);
 chrome.runtime.onInstalled.addListener(initializeExtension);
 
 // Ensure alarms-driven polling keeps working even if the service worker sleeps
-chrome.alarms.onAlarm.addListener((alarm) => {
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // A woken service worker has lost its globals, so reload the active profile first
+  if (!currentProfileName) {
+    await loadActiveProfile();
+  }
+  
   if (alarm.name === 'behalf-task-check') {
     checkForTasks();
+    // A restarted service worker has lost its push connection
+    if (!taskSocket && !taskSocketReconnectTimer && currentBrowserId) {
+      connectTaskSocket();
+    }
+  }
+  if (alarm.name === 'behalf-outbox-flush') {
+    processOutbox();
+  }
+});
+
+// Profiles edited in the popup or options page take effect immediately
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.profiles || changes.activeProfile)) {
+    applyProfileChange();
   }
 });
 
+// A permission granted from the popup lets its task types be leased again
+chrome.permissions.onAdded.addListener((permissions) => {
+  clearPermissionRequests(permissions.permissions || []);
+});
+
 // Handle messages from popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
-    case 'updateBrowserId':
-      currentBrowserId = message.browserId;
-      startTaskChecking();
-      sendResponse({ success: true });
-      break;
-      
-    case 'updateTaskInterval':
-      currentTaskInterval = message.interval;
-      startTaskChecking();
-      sendResponse({ success: true });
-      break;
-      
     case 'testConnection':
-      testConnection(message.browserId, sendResponse);
+      testConnection(message.workerUrl, sendResponse);
       return true; // Keep message channel open for async response
       
     case "runTasksNow":
       runTasksNow(message.browserId, sendResponse);
       return true; // Keep message channel open for async response
       
+    case 'registerBrowser':
+      registerBrowser(message.workerUrl, message.browserId, message.enrollmentCode, sendResponse);
+      return true; // Keep message channel open for async response
+      
+    case 'getOutbox':
+      getOutboxSummary(sendResponse);
+      return true; // Keep message channel open for async response
+      
+    case 'retryOutbox':
+      retryOutbox(message.jobId, sendResponse);
+      return true; // Keep message channel open for async response
+      
+    case 'getActivity':
+      getActivity(sendResponse);
+      return true; // Keep message channel open for async response
+      
+    case 'getJobDetails':
+      getJobDetails(message.jobId, message.workerUrl, sendResponse);
+      return true; // Keep message channel open for async response
+      
     default:
       sendResponse({ success: false, error: 'Unknown action' });
   }
 });
 
-function initializeExtension() {
-  // Load saved settings
-  chrome.storage.local.get(['browserId', 'taskInterval'], function(result) {
-    if (result.browserId) {
-      currentBrowserId = result.browserId;
-    }
-    if (result.taskInterval) {
-      currentTaskInterval = result.taskInterval;
-    }
-    
-    if (currentBrowserId) {
-      startTaskChecking();
-    }
-  });
+async function initializeExtension() {
+  await loadActiveProfile();
+  startTaskChecking();
+  
+  // Retry results left over from before a restart, then keep retrying from an alarm
+  chrome.alarms.create('behalf-outbox-flush', { periodInMinutes: 1 });
+  processOutbox();
+}
+
+async function loadActiveProfile() {
+  const profile = await getActiveProfile();
+  
+  currentProfileName = profile.name;
+  currentWorkerUrl = profile.workerUrl;
+  currentAuthToken = profile.authToken;
+  currentBrowserId = profile.browserId || null;
+  currentTaskInterval = profile.taskInterval;
+  currentConcurrency = profile.concurrency;
+  currentMaxTabs = profile.maxTabs;
+  serverConfig = {}; // The next lease response brings the config for this worker
+  currentTaskTimeoutMs = profile.taskTimeoutSeconds * 1000;
+  currentAllowedDomains = profile.allowedDomains;
+  currentPool = profile.pool || null;
+  currentTags = profile.tags;
+  // Task params that fall back to the profile when a task doesn't set them
+  currentParamDefaults = {
+    maxWaitMs: profile.maxWaitSeconds * 1000,
+    format: profile.screenshotFormat,
+    quality: profile.screenshotQuality
+  };
+  setLogLevel(profile.logLevel);
+  
+  log.info(`Using profile "${profile.name}" (${profile.workerUrl})`);
+}
+
+async function applyProfileChange() {
+  await loadActiveProfile();
+  startTaskChecking();
 }
 
 function startTaskChecking() {
-  // Clear existing interval
-  if (taskCheckInterval) {
-    clearInterval(taskCheckInterval);
+  stopPolling();
+  idlePollCount = 0;
+  failedPollCount = 0;
+  
+  // Only poll when the active profile has a browser ID
+  if (!currentBrowserId) {
+    disconnectTaskSocket();
+    chrome.alarms.clear('behalf-task-check');
+    log.info(`Profile "${currentProfileName}" has no browser ID, task checking stopped`);
+    return;
+  }
+  
+  // New jobs are pushed over the connection; poll until it opens
+  connectTaskSocket();
+  // Trigger an immediate check so the user doesn't need to press anything
+  checkForTasks();
+
+  // Also schedule via chrome.alarms for reliability when service worker is suspended
+  try {
+    chrome.alarms.clear('behalf-task-check', () => {
+      const periodMinutes = Math.max(1, currentTaskInterval / 60);
+      chrome.alarms.create('behalf-task-check', {
+        delayInMinutes: 1,
+        periodInMinutes: periodMinutes
+      });
+    });
+    log.info('Alarms-based polling scheduled');
+  } catch (e) {
+    log.warn('Failed to schedule alarms-based polling:', e);
+  }
+}
+
+// Polls once after delayMs. Does nothing while the push connection is open.
+function scheduleNextPoll(delayMs) {
+  stopPolling();
+  if (!currentBrowserId || isTaskSocketOpen()) {
+    return;
   }
   
-  // Start new interval if we have a browser ID
-  if (currentBrowserId) {
-    taskCheckInterval = setInterval(checkForTasks, currentTaskInterval * 1000);
-    console.log(`Task checking started with interval: ${currentTaskInterval} seconds`);
-    // Trigger an immediate check so the user doesn't need to press anything
+  pollTimer = setTimeout(() => {
+    pollTimer = null;
     checkForTasks();
+  }, delayMs);
+  log.debug(`Next task check in ${Math.round(delayMs / 1000)} seconds`);
+}
+
+function stopPolling() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
 
-    // Also schedule via chrome.alarms for reliability when service worker is suspended
+// Delay before the next poll: short after finding work, exponential backoff with jitter
+// on empty or failed polls. A worker hint (nextPollMs or Retry-After) takes precedence.
+function getNextPollDelay({ leasedCount = 0, failed = false, hintMs = null }) {
+  let delayMs;
+  if (failed) {
+    failedPollCount++;
+    idlePollCount = 0;
+    delayMs = withJitter(Math.min(ERROR_POLL_BASE_MS * 2 ** (failedPollCount - 1), ERROR_POLL_MAX_MS));
+  } else if (leasedCount > 0) {
+    failedPollCount = 0;
+    idlePollCount = 0;
+    delayMs = BUSY_POLL_DELAY_MS;
+  } else {
+    failedPollCount = 0;
+    idlePollCount++;
+    const maxDelayMs = Math.max(getPollIntervalMs(), IDLE_POLL_BASE_MS);
+    delayMs = withJitter(Math.min(IDLE_POLL_BASE_MS * 2 ** (idlePollCount - 1), maxDelayMs));
+  }
+  
+  if (Number.isFinite(hintMs) && hintMs >= 0) {
+    // Spread the fleet out a little even when the worker names a time
+    return Math.round(hintMs * (1 + Math.random() * 0.1));
+  }
+  return delayMs;
+}
+
+// Random delay between half and all of delayMs, so browsers don't poll in lockstep
+function withJitter(delayMs) {
+  return Math.round(delayMs / 2 + Math.random() * delayMs / 2);
+}
+
+function getPollIntervalMs() {
+  return serverConfig.pollIntervalMs ?? currentTaskInterval * 1000;
+}
+
+function getConcurrency() {
+  return serverConfig.concurrency ?? currentConcurrency;
+}
+
+function applyServerConfig(config) {
+  if (!config) {
+    return;
+  }
+  
+  const wasLeasing = !serverConfig.paused && !serverConfig.draining;
+  serverConfig = config;
+  updateHeartbeatInterval(config.heartbeatIntervalMs);
+  
+  const isLeasing = !config.paused && !config.draining;
+  if (isLeasing !== wasLeasing) {
+    if (isLeasing) {
+      log.info('Task leasing resumed by the worker');
+      checkForTasks();
+    } else {
+      log.info(config.draining ? 'Browser draining: running tasks finish, nothing new is leased' : 'Task leasing paused by the worker');
+    }
+  }
+}
+
+async function refreshServerConfig() {
+  try {
+    const response = await workerFetch(`${BROWSER_CONFIG_ENDPOINT}?browserId=${encodeURIComponent(currentBrowserId)}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    applyServerConfig(data.config);
+  } catch (error) {
+    log.warn('Could not refresh the worker config:', error);
+  }
+}
+
+function isTaskSocketOpen() {
+  return Boolean(taskSocket) && taskSocket.readyState === WebSocket.OPEN;
+}
+
+// Opens the push connection for the active profile, replacing any previous one
+function connectTaskSocket() {
+  disconnectTaskSocket();
+  
+  const socketParams = new URLSearchParams({ browserId: currentBrowserId });
+  if (currentPool) {
+    // Also receive work_available for jobs routed to the pool
+    socketParams.set('pool', currentPool);
+  }
+  const socketUrl = `${currentWorkerUrl.replace(/^http/, 'ws')}${CONNECT_ENDPOINT}?${socketParams}`;
+  // WebSockets can't send headers, so the browser token goes as a second subprotocol
+  const protocols = currentAuthToken ? [TASK_SOCKET_PROTOCOL, currentAuthToken] : [TASK_SOCKET_PROTOCOL];
+  
+  let socket;
+  try {
+    socket = new WebSocket(socketUrl, protocols);
+  } catch (error) {
+    log.warn('Could not open push connection:', error);
+    scheduleSocketReconnect();
+    return;
+  }
+  taskSocket = socket;
+  
+  socket.onopen = () => {
+    log.info('Push connection open, polling paused');
+    taskSocketReconnectDelayMs = SOCKET_RECONNECT_BASE_MS;
+    stopPolling();
+    taskSocketKeepalive = setInterval(() => socket.send('ping'), SOCKET_KEEPALIVE_MS);
+    // Pick up anything queued while disconnected
+    checkForTasks();
+  };
+  
+  socket.onmessage = (event) => {
+    if (event.data === 'pong') {
+      return;
+    }
+    
+    let message;
     try {
-      chrome.alarms.clear('behalf-task-check', () => {
-        const periodMinutes = Math.max(1, currentTaskInterval / 60);
-        chrome.alarms.create('behalf-task-check', {
-          delayInMinutes: 1,
-          periodInMinutes: periodMinutes
-        });
-      });
-      console.log('Alarms-based polling scheduled');
-    } catch (e) {
-      console.warn('Failed to schedule alarms-based polling:', e);
+      message = JSON.parse(event.data);
+    } catch (error) {
+      log.warn('Ignoring malformed push message:', event.data);
+      return;
+    }
+    
+    if (message.type === 'work_available') {
+      log.info('Job pushed:', message.jobId);
+      checkForTasks();
+    }
+    if (message.type === 'config_changed') {
+      refreshServerConfig();
+    }
+    if (message.type === 'lease_revoked') {
+      revokeLease(message.jobId, `lease revoked by the worker (${message.reason})`);
+    }
+    if (message.type === 'lease_expired') {
+      revokeLease(message.jobId, 'lease expired before a heartbeat extended it');
     }
+  };
+  
+  socket.onclose = (event) => {
+    // Connections replaced or closed on purpose are already cleaned up
+    if (socket !== taskSocket) {
+      return;
+    }
+    clearInterval(taskSocketKeepalive);
+    taskSocketKeepalive = null;
+    taskSocket = null;
+    
+    log.warn(`Push connection closed (${event.code}), polling until it reconnects`);
+    if (!pollTimer) {
+      scheduleNextPoll(withJitter(IDLE_POLL_BASE_MS));
+    }
+    scheduleSocketReconnect();
+  };
+}
+
+function disconnectTaskSocket() {
+  clearTimeout(taskSocketReconnectTimer);
+  taskSocketReconnectTimer = null;
+  clearInterval(taskSocketKeepalive);
+  taskSocketKeepalive = null;
+  
+  if (taskSocket) {
+    const socket = taskSocket;
+    taskSocket = null;
+    socket.close(1000, 'Reconnecting');
   }
 }
 
+// Reconnects with exponential backoff; the alarm also reconnects after a service-worker restart
+function scheduleSocketReconnect() {
+  clearTimeout(taskSocketReconnectTimer);
+  taskSocketReconnectTimer = setTimeout(() => {
+    taskSocketReconnectTimer = null;
+    if (currentBrowserId) {
+      connectTaskSocket();
+    }
+  }, taskSocketReconnectDelayMs);
+  taskSocketReconnectDelayMs = Math.min(taskSocketReconnectDelayMs * 2, SOCKET_RECONNECT_MAX_MS);
+}
+
+// Fetch a worker endpoint, adding the active profile's credentials when it has any
+function workerFetch(endpoint, options = {}, workerUrl = currentWorkerUrl) {
+  const headers = { ...(options.headers || {}) };
+  if (currentAuthToken) {
+    headers['Authorization'] = `Bearer ${currentAuthToken}`;
+  }
+  
+  return fetch(`${workerUrl}${endpoint}`, { ...options, headers });
+}
+
 async function checkForTasks() {
   if (!currentBrowserId) {
-    console.log('No browser ID set, skipping task check');
+    log.info('No browser ID set, skipping task check');
     return;
   }
+  
+  // Timer, alarm, push and refill checks can overlap; only one lease request at a time,
+  // with one more queued so a push that arrives mid-request isn't lost
+  if (isFillingPool) {
+    isTaskCheckQueued = true;
+    return;
+  }
+  isFillingPool = true;
+
+  try {
+    const freeSlots = getConcurrency() - runningTaskCount;
+    if (freeSlots <= 0) {
+      log.debug(`Task pool full (${runningTaskCount}/${getConcurrency()}), skipping task check`);
+      return;
+    }
+    
+    log.debug(`Checking for tasks (${freeSlots} free slots)...`);
+    
+    const { tasks, nextPollMs } = await leaseTasks(currentBrowserId, freeSlots);
+    
+    if (tasks.length > 0) {
+      for (const task of tasks) {
+        log.info('Task leased:', task.jobId, task.leaseId);
+        runPooledTask(task);
+      }
+    } else {
+      log.debug('No tasks available');
+    }
+    
+    scheduleNextPoll(getNextPollDelay({ leasedCount: tasks.length, hintMs: nextPollMs }));
+    
+  } catch (error) {
+    log.error('Error checking for tasks:', error);
+    scheduleNextPoll(getNextPollDelay({ failed: true, hintMs: error.retryAfterMs }));
+  } finally {
+    isFillingPool = false;
+    if (isTaskCheckQueued) {
+      isTaskCheckQueued = false;
+      checkForTasks();
+    }
+  }
+}
+
+// Runs a leased task in a pool slot and refills the slot as soon as it frees up
+async function runPooledTask(task) {
+  runningTaskCount++;
+  try {
+    await executeTask(task);
+  } finally {
+    runningTaskCount--;
+    checkForTasks();
+  }
+}
+
+async function leaseTasks(browserId, max) {
+  const response = await workerFetch(LEASE_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      browserId: browserId,
+      max: max,
+      taskTypes: await getSupportedTaskTypes(),
+      // Unpinned jobs are matched against the browser's pool and tags
+      pool: currentPool,
+      tags: currentTags
+    })
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`Worker rejected browser ${browserId} (HTTP ${response.status}); register it with an enrollment code`);
+  }
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    throw error;
+  }
+
+  const leaseData = await response.json();
+  updateHeartbeatInterval(leaseData.heartbeatIntervalMs);
+  applyServerConfig(leaseData.config);
+  return { tasks: leaseData.items || [], nextPollMs: leaseData.nextPollMs ?? null };
+}
 
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const retryAt = Date.parse(value);
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+async function executeTask(task) {
+  // Keep the lease alive while the page loads and is captured
+  trackLease(task);
+  
+  const startedAt = Date.now();
+  
   try {
-    console.log('Checking for tasks...');
+    log.info('Executing task:', task.taskName, 'for job', task.jobId);
+    
+    if (!isAllowedDomain(currentAllowedDomains, task.url)) {
+      const error = new Error(`${task.url} is not in the profile's allowed domains`);
+      error.category = 'blocked';
+      throw error;
+    }
+    
+    const result = await runTaskHandler(task, {
+      timeoutMs: currentTaskTimeoutMs,
+      paramDefaults: currentParamDefaults
+    });
+    
+    // Submit the captured content against the lease
+    const submitResult = await submitTaskResult(task, result);
+    
+    await recordTaskActivity(createActivityEntry(task, startedAt, {
+      status: 'completed',
+      bytes: measureResultBytes(result),
+      // Without a response the result is still waiting in the outbox
+      uploaded: Boolean(submitResult)
+    }));
+    
+  } catch (error) {
+    log.error(`Error executing task ${task.jobId}:`, error);
     
-    const response = await fetch(`${CLOUDFLARE_WORKER_URL}${TASK_CHECK_ENDPOINT}`, {
+    // A revoked lease belongs to the worker now; there is nothing to report
+    if (!task.leaseLost) {
+      await reportTaskFailure(task, error)
+        .catch(reportError => log.error(`Error reporting failure for ${task.jobId}:`, reportError));
+    }
+    
+    await recordTaskActivity(createActivityEntry(task, startedAt, {
+      status: 'failed',
+      bytes: measureResultBytes(error.partialPage),
+      error: error.message
+    }));
+  } finally {
+    untrackLease(task.jobId);
+  }
+}
+
+function createActivityEntry(task, startedAt, outcome) {
+  const finishedAt = Date.now();
+  return {
+    jobId: task.jobId,
+    taskName: task.taskName,
+    url: task.url,
+    workerUrl: currentWorkerUrl,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    ...outcome
+  };
+}
+
+function trackLease(task) {
+  heartbeatLeases.set(task.jobId, task);
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(sendHeartbeats, currentHeartbeatIntervalMs);
+  }
+}
+
+function untrackLease(jobId) {
+  heartbeatLeases.delete(jobId);
+  if (heartbeatLeases.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+// Applies the heartbeat interval from a lease or heartbeat response
+function updateHeartbeatInterval(intervalMs) {
+  if (!intervalMs || intervalMs === currentHeartbeatIntervalMs) {
+    return;
+  }
+  
+  currentHeartbeatIntervalMs = intervalMs;
+  log.info(`Heartbeat interval set to ${intervalMs}ms by the worker`);
+  
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(sendHeartbeats, currentHeartbeatIntervalMs);
+  }
+}
+
+function sendHeartbeats() {
+  return Promise.all(Array.from(heartbeatLeases.values()).map(task => sendHeartbeat(task)));
+}
+
+// Abort a task whose lease the worker no longer honours; nothing is submitted for it
+function revokeLease(jobId, reason) {
+  const task = heartbeatLeases.get(jobId);
+  if (!task) {
+    return;
+  }
+  task.leaseLost = true;
+  untrackLease(jobId);
+  cancelTask(jobId, reason);
+}
+
+async function sendHeartbeat(task) {
+  try {
+    const response = await workerFetch(HEARTBEAT_ENDPOINT, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        browserId: currentBrowserId
+        jobId: task.jobId,
+        leaseId: task.leaseId
       })
     });
-
+    
+    // 410 means the lease expired or the job was cancelled; 400 means the queue no longer
+    // knows it. Either way the job may already be leased to another browser, so stop working on it.
+    if (response.status === 410 || response.status === 400) {
+      const errorData = await response.json().catch(() => ({}));
+      revokeLease(task.jobId, errorData.cancelled
+        ? 'cancelled by the worker'
+        : `lease ${task.leaseId} is no longer valid (HTTP ${response.status})`);
+      return;
+    }
+    
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
-
-    const taskData = await response.json();
     
-    if (taskData.hasTask) {
-      console.log('Task received:', taskData.task);
-      await executeTask(taskData.task);
-    } else {
-      console.log('No tasks available');
-    }
+    const heartbeatData = await response.json();
+    task.leaseUntil = heartbeatData.leaseUntil;
+    updateHeartbeatInterval(heartbeatData.heartbeatIntervalMs);
+    log.debug(`Heartbeat sent for job ${task.jobId}, lease until ${new Date(task.leaseUntil).toISOString()}`);
     
   } catch (error) {
-    console.error('Error checking for tasks:', error);
+    log.error(`Error sending heartbeat for job ${task.jobId}:`, error);
   }
 }
 
-async function executeTask(task) {
+async function getPageHTML(url, readinessOptions, context) {
   try {
-    console.log('Executing task:', task.taskName);
+    // Create a new background tab, closed by runTaskHandler however the task ends
+    const newTab = await openTaskTab(url, context);
     
-    let result = null;
+    // Wait for page to load, then for any readiness conditions the task asked for
+    await waitForTabComplete(newTab.id, context.signal);
+    const readiness = await waitForPageReady(newTab.id, readinessOptions);
     
-    switch (task.taskName) {
-      case 'Get Page HTML':
-        result = await getPageHTML(task.paramsJson.URL);
-        break;
-      
-      default:
-          throw new Error(`Unknown task type: ${task.taskName}`);
-    }
+    const page = await readTabHTML(newTab.id);
     
-    // Report task completion
-    await reportTaskCompletion(task, result);
+    return {
+      htmlContent: page.htmlContent,
+      charset: page.charset,
+      readiness: readiness
+    };
     
   } catch (error) {
-    console.error('Error executing task:', error);
-    await reportTaskCompletion(task, { error: error.message });
+    log.error('Error getting page HTML:', error);
+    throw error;
   }
 }
 
-async function getPageHTML(url) {
+async function openTaskTab(url, context) {
+  await acquireTabSlot(context.signal);
+  
+  let newTab;
   try {
-    // Create a new background tab
-    const newTab = await chrome.tabs.create({
+    newTab = await chrome.tabs.create({
       url: url,
       active: false, // This makes it a background tab
       pinned: false
     });
+  } catch (error) {
+    releaseTabSlot();
+    throw withFailureCategory(error, 'navigation_error');
+  }
+  
+  // The task timed out or was cancelled while the tab opened; its tabs were already closed
+  if (context.signal.aborted) {
+    await chrome.tabs.remove(newTab.id).catch(() => {});
+    releaseTabSlot();
+    throw context.signal.reason;
+  }
+  
+  context.tabIds.add(newTab.id);
+  log.debug(`Created background tab ${newTab.id} for job ${context.jobId}`);
+  return newTab;
+}
+
+async function closeTaskTabs(context) {
+  for (const tabId of context.tabIds) {
+    try {
+      await chrome.tabs.remove(tabId);
+      log.debug(`Closed background tab ${tabId} for job ${context.jobId}`);
+    } catch (error) {
+      // Already closed by the user or the browser
+    }
+    releaseTabSlot();
+  }
+  context.tabIds.clear();
+}
+
+// Waits until fewer than currentMaxTabs task tabs are open; rejects if the task is aborted
+function acquireTabSlot(signal) {
+  if (openTaskTabCount < currentMaxTabs) {
+    openTaskTabCount++;
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    tabSlotWaiters.push(waiter);
+    signal?.addEventListener('abort', () => {
+      const index = tabSlotWaiters.indexOf(waiter);
+      if (index !== -1) {
+        tabSlotWaiters.splice(index, 1);
+        reject(signal.reason);
+      }
+    }, { once: true });
+  });
+}
+
+function releaseTabSlot() {
+  openTaskTabCount--;
+  while (tabSlotWaiters.length > 0 && openTaskTabCount < currentMaxTabs) {
+    openTaskTabCount++;
+    tabSlotWaiters.shift().resolve();
+  }
+}
+
+// Best-effort { htmlContent, charset } of a task's tab after a timeout or cancellation
+async function capturePartialHTML(context) {
+  const [tabId] = context.tabIds;
+  if (tabId === undefined) {
+    return null;
+  }
+  
+  try {
+    return await Promise.race([
+      readTabHTML(tabId),
+      new Promise(resolve => setTimeout(resolve, PARTIAL_CAPTURE_TIMEOUT_MS, null))
+    ]);
+  } catch (error) {
+    log.warn(`No partial HTML for job ${context.jobId}:`, error.message);
+    return null;
+  }
+}
+
+// Resolves once the tab reports complete; rejects if the tab closes or the task is aborted,
+// removing its listeners either way
+function waitForTabComplete(tabId, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    function cleanup() {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      signal?.removeEventListener('abort', onAbort);
+    }
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }
+    function onRemoved(removedTabId) {
+      if (removedTabId === tabId) {
+        cleanup();
+        const error = new Error(`Tab ${tabId} was closed before it finished loading`);
+        error.category = 'navigation_error';
+        reject(error);
+      }
+    }
+    function onAbort() {
+      cleanup();
+      reject(signal.reason);
+    }
+    
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    signal?.addEventListener('abort', onAbort);
     
-    console.log('Created background tab:', newTab.id);
+    // A fast page can finish loading before the listeners are attached; no event follows then
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }, () => onRemoved(tabId));
+  });
+}
+
+// Waits for the readiness conditions in the task params once the tab reports complete.
+// Conditions run in order (selector, DOM quiet, network idle, delay) under one maxWaitMs budget;
+// the capture proceeds when the budget runs out and the result records what was met.
+async function waitForPageReady(tabId, params) {
+  const options = {
+    waitForSelector: params.waitForSelector,
+    waitForDomQuietMs: params.waitForDomQuietMs,
+    waitForNetworkIdleMs: params.waitForNetworkIdleMs,
+    delayMs: params.delayMs,
+    maxWaitMs: params.maxWaitMs || DEFAULT_MAX_WAIT_MS
+  };
+  
+  if (!options.waitForSelector && !options.waitForDomQuietMs && !options.waitForNetworkIdleMs && !options.delayMs) {
+    return { conditionsMet: ['load'], timedOut: false, waitedMs: 0 };
+  }
+  
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      args: [options],
+      func: waitForReadinessInPage
+    });
+    const readiness = results[0].result;
+    log.debug(`Tab ${tabId} readiness:`, readiness);
+    return readiness;
     
-    // Wait for page to load
-    await new Promise((resolve) => {
-      chrome.tabs.onUpdated.addListener(function listener(tabId, changeInfo) {
-        if (tabId === newTab.id && changeInfo.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
+  } catch (error) {
+    // The page navigated or the script was blocked; capture what is there
+    log.warn(`Readiness wait failed for tab ${tabId}:`, error);
+    return { conditionsMet: ['load'], timedOut: false, waitedMs: 0, error: error.message };
+  }
+}
+
+// Runs inside the page, so it must not reference anything outside its own body.
+// Network idle means no resource finished loading for the idle period (Resource Timing).
+async function waitForReadinessInPage(options) {
+  const startedAt = Date.now();
+  const deadline = startedAt + options.maxWaitMs;
+  const remaining = () => Math.max(0, deadline - Date.now());
+  const conditionsMet = ['load'];
+
+  function waitForSelector(selector) {
+    return new Promise((resolve) => {
+      if (document.querySelector(selector)) {
+        resolve(true);
+        return;
+      }
+      const observer = new MutationObserver(() => {
+        if (document.querySelector(selector)) {
+          finish(true);
         }
       });
+      const deadlineTimer = setTimeout(finish, remaining(), false);
+      function finish(met) {
+        observer.disconnect();
+        clearTimeout(deadlineTimer);
+        resolve(met);
+      }
+      observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
     });
-    
-    // Execute script to get page HTML
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: newTab.id },
-      func: () => document.documentElement.outerHTML
+  }
+
+  // Resolves true after quietMs without activity, false when the deadline passes first
+  function waitForQuiet(quietMs, observe) {
+    return new Promise((resolve) => {
+      let quietTimer = setTimeout(finish, quietMs, true);
+      const deadlineTimer = setTimeout(finish, remaining(), false);
+      const stopObserving = observe(() => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, quietMs, true);
+      });
+      function finish(met) {
+        clearTimeout(quietTimer);
+        clearTimeout(deadlineTimer);
+        stopObserving();
+        resolve(met);
+      }
     });
+  }
+
+  function observeDom(onActivity) {
+    const observer = new MutationObserver(onActivity);
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    return () => observer.disconnect();
+  }
+
+  function observeNetwork(onActivity) {
+    const observer = new PerformanceObserver(onActivity);
+    observer.observe({ type: 'resource' });
+    return () => observer.disconnect();
+  }
+
+  let timedOut = false;
+
+  if (options.waitForSelector) {
+    if (await waitForSelector(options.waitForSelector)) {
+      conditionsMet.push('selector');
+    } else {
+      timedOut = true;
+    }
+  }
+
+  if (!timedOut && options.waitForDomQuietMs) {
+    if (await waitForQuiet(options.waitForDomQuietMs, observeDom)) {
+      conditionsMet.push('domQuiet');
+    } else {
+      timedOut = true;
+    }
+  }
+
+  if (!timedOut && options.waitForNetworkIdleMs) {
+    if (await waitForQuiet(options.waitForNetworkIdleMs, observeNetwork)) {
+      conditionsMet.push('networkIdle');
+    } else {
+      timedOut = true;
+    }
+  }
+
+  if (!timedOut && options.delayMs) {
+    const delayMs = Math.min(options.delayMs, remaining());
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    if (delayMs === options.delayMs) {
+      conditionsMet.push('delay');
+    } else {
+      timedOut = true;
+    }
+  }
+
+  return { conditionsMet, timedOut, waitedMs: Date.now() - startedAt };
+}
+
+// Returns { htmlContent, charset }; the DOM is serialized as a string, so the charset the
+// page was originally served in is reported separately
+async function readTabHTML(tabId) {
+  // Execute script to get page HTML; it fails while the tab is navigating (e.g. a late redirect)
+  let results;
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: () => ({ htmlContent: document.documentElement.outerHTML, charset: document.characterSet })
+    });
+  } catch (error) {
+    throw withFailureCategory(error, 'navigation_error');
+  }
+  
+  if (!results?.[0]?.result) {
+    const error = new Error(`Could not read the page in tab ${tabId}`);
+    error.category = 'navigation_error';
+    throw error;
+  }
+  return results[0].result;
+}
+
+// Screenshots go through the DevTools protocol so background tabs can be captured
+// beyond the viewport; chrome.tabs.captureVisibleTab only sees the active tab.
+async function captureScreenshot(params, context) {
+  const newTab = await openTaskTab(params.URL, context);
+  const debuggee = { tabId: newTab.id };
+  let attached = false;
+  
+  try {
+    await waitForTabComplete(newTab.id, context.signal);
+    const readiness = await waitForPageReady(newTab.id, params);
     
-    // Close the background tab after getting HTML
-    await chrome.tabs.remove(newTab.id);
-    console.log('Closed background tab:', newTab.id);
+    await chrome.debugger.attach(debuggee, '1.3');
+    attached = true;
     
-    return {
-      htmlContent: results[0].result
+    const captureOptions = {
+      format: params.format,
+      captureBeyondViewport: params.mode !== 'viewport'
     };
+    if (params.format === 'jpeg') {
+      captureOptions.quality = params.quality;
+    }
+    
+    if (params.mode === 'fullPage') {
+      const metrics = await chrome.debugger.sendCommand(debuggee, 'Page.getLayoutMetrics');
+      const size = metrics.cssContentSize || metrics.contentSize;
+      captureOptions.clip = { x: 0, y: 0, width: size.width, height: size.height, scale: 1 };
+    } else if (params.mode === 'element') {
+      captureOptions.clip = await getElementClip(newTab.id, params.selector);
+    }
+    
+    const screenshot = await chrome.debugger.sendCommand(debuggee, 'Page.captureScreenshot', captureOptions);
+    
+    const result = {
+      screenshotBase64: screenshot.data,
+      screenshotContentType: `image/${params.format}`,
+      readiness: readiness
+    };
+    if (params.includeHtml) {
+      Object.assign(result, await readTabHTML(newTab.id));
+    }
+    return result;
     
   } catch (error) {
-    console.error('Error getting page HTML:', error);
+    log.error('Error capturing screenshot:', error);
     throw error;
+    
+  } finally {
+    if (attached) {
+      await chrome.debugger.detach(debuggee).catch(() => {});
+    }
   }
 }
 
-async function reportTaskCompletion(task, result) {
+async function extractContent(params, context) {
+  const newTab = await openTaskTab(params.URL, context);
+  
   try {
-    const reportData = {
-      taskId: task.taskId,
-      datime: new Date().toISOString(),
-      taskName: task.taskName,
-      version: '0.1',
-      artifactsJson: result
-    };
+    await waitForTabComplete(newTab.id, context.signal);
+    const readiness = await waitForPageReady(newTab.id, params);
     
-    const response = await fetch(`${CLOUDFLARE_WORKER_URL}${TASK_REPORT_ENDPOINT}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(reportData)
-    });
+    let results;
+    try {
+      results = await chrome.scripting.executeScript({
+        target: { tabId: newTab.id },
+        args: [params.fields],
+        func: extractFieldsInPage
+      });
+    } catch (error) {
+      // The script could not be injected, e.g. the tab is still navigating
+      throw withFailureCategory(error, 'navigation_error');
+    }
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const extraction = results?.[0]?.result;
+    if (!extraction) {
+      const error = new Error(`Could not run the extraction in tab ${newTab.id}`);
+      error.category = 'navigation_error';
+      throw error;
+    }
+    if (extraction.error) {
+      // The field schema itself is at fault (e.g. an invalid selector); retrying won't help
+      const error = new Error(`Extraction failed: ${extraction.error}`);
+      error.category = 'script_error';
+      throw error;
     }
     
-    console.log('Task completion reported successfully');
+    const result = {
+      extractedData: extraction.data,
+      readiness: readiness
+    };
+    if (params.includeHtml) {
+      Object.assign(result, await readTabHTML(newTab.id));
+    }
+    return result;
     
   } catch (error) {
-    console.error('Error reporting task completion:', error);
+    log.error('Error extracting content:', error);
+    throw error;
+  }
+}
+
+// Runs inside the page, so it must not reference anything outside its own body.
+// Each field is { selector, selectorType: 'css' | 'xpath', attribute, list, fields };
+// nested fields are resolved relative to the element their parent matched.
+// Returns { data }, or { error } when a selector can't be evaluated.
+function extractFieldsInPage(fields) {
+  function queryAll(root, spec) {
+    if (spec.selectorType === 'xpath') {
+      const snapshot = document.evaluate(spec.selector, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      const nodes = [];
+      for (let i = 0; i < snapshot.snapshotLength; i++) {
+        nodes.push(snapshot.snapshotItem(i));
+      }
+      return nodes;
+    }
+    return Array.from(root.querySelectorAll(spec.selector));
+  }
+
+  function readValue(node, spec) {
+    if (spec.fields) {
+      return extract(node, spec.fields);
+    }
+    if (!spec.attribute || spec.attribute === 'text') {
+      return (node.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+    if (spec.attribute === 'html') {
+      return node.innerHTML;
+    }
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(spec.attribute) : null;
+  }
+
+  function extract(root, fieldSpecs) {
+    const data = {};
+    for (const [name, spec] of Object.entries(fieldSpecs)) {
+      const nodes = spec.selector ? queryAll(root, spec) : [root];
+      if (spec.list) {
+        data[name] = nodes.map(node => readValue(node, spec));
+      } else {
+        data[name] = nodes.length > 0 ? readValue(nodes[0], spec) : null;
+      }
+    }
+    return data;
+  }
+
+  try {
+    return { data: extract(document, fields) };
+  } catch (error) {
+    return { error: error.message };
   }
 }
 
-async function testConnection(browserId, sendResponse) {
+// Document coordinates of the first element matching the selector
+async function getElementClip(tabId, selector) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    args: [selector],
+    func: (selector) => {
+      const element = document.querySelector(selector);
+      if (!element) {
+        return null;
+      }
+      const rect = element.getBoundingClientRect();
+      return {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+        scale: 1
+      };
+    }
+  });
+  
+  const clip = results[0].result;
+  if (!clip || clip.width === 0 || clip.height === 0) {
+    throw new Error(`No visible element matches selector: ${selector}`);
+  }
+  return clip;
+}
+
+async function submitTaskResult(task, result) {
+  const submitData = {
+    jobId: task.jobId,
+    leaseId: task.leaseId
+  };
+  
+  if (result.htmlContent !== undefined && !result.extractedData && !result.screenshotBase64) {
+    // HTML-only results are uploaded as a compressed raw body rather than base64 JSON
+    submitData.htmlContent = result.htmlContent;
+    submitData.originalCharset = result.charset;
+  } else if (result.htmlContent !== undefined) {
+    submitData.contentType = 'text/html; charset=utf-8';
+    submitData.originalCharset = result.charset;
+    submitData.htmlBase64 = encodeBase64Utf8(result.htmlContent);
+  }
+  if (result.readiness) {
+    submitData.captureMeta = { readiness: result.readiness };
+  }
+  if (result.extractedData) {
+    submitData.parsedJson = result.extractedData;
+  }
+  if (result.screenshotBase64) {
+    submitData.screenshotBase64 = result.screenshotBase64;
+    submitData.screenshotContentType = result.screenshotContentType;
+  }
+  
+  // Persist the result before uploading so it survives outages and service-worker restarts
+  const entry = createOutboxEntry(task, submitData, currentWorkerUrl);
   try {
-    const response = await fetch(`${CLOUDFLARE_WORKER_URL}${TASK_CHECK_ENDPOINT}`, {
+    await addToOutbox(entry);
+  } catch (error) {
+    log.warn(`Could not store result for job ${task.jobId} in the outbox, uploading directly:`, error);
+    return uploadSubmitData(submitData, currentWorkerUrl);
+  }
+  
+  return deliverOutboxEntry(entry);
+}
+
+// Reports a failed task so the worker can retry or fail the job now instead of waiting for the
+// lease to expire. Whatever the page rendered is attached when it fits the worker's size limit.
+// If the report doesn't arrive, the lease still expires and the job is requeued.
+async function reportTaskFailure(task, error) {
+  const failData = {
+    jobId: task.jobId,
+    leaseId: task.leaseId,
+    category: classifyTaskError(error),
+    message: error.message
+  };
+  
+  const partialHtml = error.partialPage?.htmlContent;
+  if (partialHtml && new TextEncoder().encode(partialHtml).length <= (serverConfig.maxContentBytes || Infinity)) {
+    failData.partial = {
+      htmlBase64: encodeBase64Utf8(partialHtml),
+      originalCharset: error.partialPage.charset
+    };
+  }
+  
+  const response = await workerFetch(FAIL_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(failData)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const failResult = await response.json();
+  log.info(`Reported ${failData.category} for job ${task.jobId}: ${failResult.reason}`);
+  return failResult;
+}
+
+// saveProgress persists submitData (e.g. a started upload session) so a retry can resume
+async function uploadSubmitData(submitData, workerUrl, saveProgress) {
+  let response;
+  if (submitData.htmlContent !== undefined) {
+    const bytes = new TextEncoder().encode(submitData.htmlContent);
+    // The raw submit path is capped at the worker's max content size
+    const chunkedThreshold = Math.min(CHUNKED_UPLOAD_THRESHOLD_BYTES, serverConfig.maxContentBytes || Infinity);
+    response = bytes.length > chunkedThreshold
+      ? await uploadChunkedContent(submitData, bytes, workerUrl, saveProgress)
+      : await uploadRawContent(submitData, workerUrl);
+  } else {
+    response = await workerFetch(SUBMIT_ENDPOINT, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
+      body: JSON.stringify(submitData)
+    }, workerUrl);
+  }
+  
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  const submitResult = await response.json();
+  log.info(`Task ${submitData.jobId} submitted successfully as ${submitResult.r2Key || submitResult.parsed?.r2Key || submitResult.screenshot?.r2Key}`);
+  return submitResult;
+}
+
+// Sends the page as gzip-compressed UTF-8; the worker hashes and stores the decoded bytes
+async function uploadRawContent(submitData, workerUrl) {
+  const query = new URLSearchParams({ jobId: submitData.jobId, leaseId: submitData.leaseId });
+  if (submitData.originalCharset) {
+    query.set('originalCharset', submitData.originalCharset);
+  }
+  if (submitData.captureMeta) {
+    query.set('captureMeta', JSON.stringify(submitData.captureMeta));
+  }
+  
+  return workerFetch(`${SUBMIT_RAW_ENDPOINT}?${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Encoding': 'gzip'
+    },
+    body: await gzipText(submitData.htmlContent)
+  }, workerUrl);
+}
+
+// Uploads a large page in checksummed parts through an upload session, then submits it by
+// uploadId. The session ID is saved with the outbox entry, so a retry asks the worker which
+// parts it already acknowledged and only sends the rest.
+async function uploadChunkedContent(submitData, bytes, workerUrl, saveProgress) {
+  let session = submitData.uploadSession
+    ? await getUploadSession(submitData.uploadSession.uploadId, workerUrl)
+    : null;
+  
+  if (!session || session.state === 'aborted') {
+    session = await uploadRequest(UPLOADS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        browserId: browserId
+        jobId: submitData.jobId,
+        leaseId: submitData.leaseId,
+        contentType: 'text/html; charset=utf-8',
+        originalCharset: submitData.originalCharset,
+        totalBytes: bytes.length
       })
+    }, workerUrl);
+    submitData.uploadSession = { uploadId: session.uploadId };
+    await saveProgress?.();
+  }
+  
+  const uploadId = session.uploadId;
+  if (session.state !== 'completed') {
+    const acknowledged = new Set(session.parts.map(part => part.partNumber));
+    const partCount = Math.ceil(bytes.length / session.partSize);
+    
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (acknowledged.has(partNumber)) {
+        continue;
+      }
+      const part = bytes.subarray((partNumber - 1) * session.partSize, partNumber * session.partSize);
+      await uploadRequest(`${UPLOADS_ENDPOINT}/${uploadId}/parts/${partNumber}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Part-Sha256': await sha256Hex(part)
+        },
+        body: part
+      }, workerUrl);
+    }
+    
+    await uploadRequest(`${UPLOADS_ENDPOINT}/${uploadId}/complete`, { method: 'POST' }, workerUrl);
+    log.info(`Upload ${uploadId} for job ${submitData.jobId} completed in ${partCount} parts`);
+  }
+  
+  return workerFetch(SUBMIT_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      jobId: submitData.jobId,
+      leaseId: submitData.leaseId,
+      uploadId: uploadId,
+      captureMeta: submitData.captureMeta
+    })
+  }, workerUrl);
+}
+
+// Returns the upload session with its acknowledged parts, or null if the worker no longer has it
+async function getUploadSession(uploadId, workerUrl) {
+  try {
+    return await uploadRequest(`${UPLOADS_ENDPOINT}/${uploadId}`, {}, workerUrl);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function uploadRequest(endpoint, options, workerUrl) {
+  const response = await workerFetch(endpoint, options, workerUrl);
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+async function sha256Hex(bytes) {
+  const hash = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+// Uploads one outbox entry, removing it on success or scheduling its retry on failure.
+// An entry that is already being uploaded (inline, or by an earlier flush) is left alone:
+// a second upload would be rejected, and for chunked results it would abort the first session.
+async function deliverOutboxEntry(entry) {
+  if (outboxUploadsInFlight.has(entry.jobId)) {
+    return null;
+  }
+  outboxUploadsInFlight.add(entry.jobId);
+  
+  let delivered = false;
+  try {
+    const submitResult = await uploadSubmitData(entry.submitData, entry.workerUrl, () => replaceOutboxEntry(entry));
+    await deleteOutboxEntry(entry.jobId);
+    delivered = true;
+    return submitResult;
+    
+  } catch (error) {
+    // 4xx means the worker rejected the result (e.g. the lease is gone); retrying won't help
+    const permanent = error.status >= 400 && error.status < 500 && error.status !== 429;
+    await recordOutboxFailure(entry, error, permanent);
+    log.error(`Upload for job ${entry.jobId} failed (attempt ${entry.attempts}, ${entry.status}):`, error);
+    return null;
+  } finally {
+    outboxUploadsInFlight.delete(entry.jobId);
+    if (!delivered) {
+      scheduleOutboxFlush();
+    }
+  }
+}
+
+async function processOutbox() {
+  if (isProcessingOutbox) {
+    return;
+  }
+  isProcessingOutbox = true;
+  
+  try {
+    const now = Date.now();
+    const dueEntries = (await getOutboxEntries())
+      .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now &&
+        !outboxUploadsInFlight.has(entry.jobId));
+    
+    for (const entry of dueEntries) {
+      await deliverOutboxEntry(entry);
+    }
+  } catch (error) {
+    log.error('Error processing outbox:', error);
+  } finally {
+    isProcessingOutbox = false;
+  }
+  
+  scheduleOutboxFlush();
+}
+
+// Wakes up for the next due retry while the service worker is alive; the
+// behalf-outbox-flush alarm covers retries after it has been suspended
+async function scheduleOutboxFlush() {
+  clearTimeout(outboxFlushTimer);
+  
+  const pending = (await getOutboxEntries())
+    .filter(entry => entry.status === 'pending' && !outboxUploadsInFlight.has(entry.jobId));
+  if (pending.length === 0) {
+    return;
+  }
+  
+  const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+  outboxFlushTimer = setTimeout(processOutbox, Math.max(0, nextAttemptAt - Date.now()));
+}
+
+async function getOutboxSummary(sendResponse) {
+  try {
+    // Leave out the captured content; the popup only lists the uploads
+    const entries = (await getOutboxEntries()).map(({ submitData, ...entry }) => entry);
+    sendResponse({ success: true, entries });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function retryOutbox(jobId, sendResponse) {
+  try {
+    await resetOutboxEntries(jobId);
+    await processOutbox();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function getActivity(sendResponse) {
+  try {
+    const { history, counters } = await loadTaskActivity();
+    const permissionRequests = await getPermissionRequests();
+    const running = [...activeTasks.values()].map(({ jobId, taskName, url, startedAt }) => ({
+      jobId,
+      taskName,
+      url,
+      startedAt
+    }));
+    sendResponse({
+      success: true,
+      running,
+      history,
+      counters,
+      workerUrl: currentWorkerUrl,
+      paused: Boolean(serverConfig.paused),
+      draining: Boolean(serverConfig.draining),
+      permissionRequests
     });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Status and artifacts of one of this browser's jobs. The popup can't link to /status or
+// /artifacts directly: those take an API token, and a plain link sends no credentials at all.
+async function getJobDetails(jobId, workerUrl, sendResponse) {
+  try {
+    const response = await workerFetch(`${BROWSER_JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`, {},
+      workerUrl || currentWorkerUrl);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    sendResponse({ success: true, job: data });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// btoa only accepts Latin-1, so encode the string as UTF-8 bytes first
+function encodeBase64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function testConnection(workerUrl, sendResponse) {
+  try {
+    // Use the health endpoint so testing the connection never leases a task
+    const response = await workerFetch(HEALTH_ENDPOINT, {}, workerUrl || currentWorkerUrl);
     
     if (response.ok) {
       sendResponse({ success: true });
@@ -244,38 +1527,53 @@ async function testConnection(browserId, sendResponse) {
     sendResponse({ success: false, error: error.message });
   }
 } 
-async function runTasksNow(browserId, sendResponse) {
+
+// Exchanges a one-time enrollment code for this browser's auth token. Uses a plain fetch
+// so the active profile's token is never sent to the worker being registered with.
+async function registerBrowser(workerUrl, browserId, enrollmentCode, sendResponse) {
   try {
-    console.log('Manual task execution triggered for browserId:', browserId);
-    
-    // Use the same logic as checkForTasks but with the provided browserId
-    const response = await fetch(`${CLOUDFLARE_WORKER_URL}${TASK_CHECK_ENDPOINT}`, {
+    const response = await fetch(`${workerUrl}${REGISTER_ENDPOINT}`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        browserId: browserId
-      })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ browserId, enrollmentCode })
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const result = await response.json().catch(() => ({}));
+    
+    if (response.ok) {
+      sendResponse({ success: true, token: result.token });
+    } else {
+      sendResponse({ success: false, error: result.error || `HTTP ${response.status}` });
     }
+    
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-    const taskData = await response.json();
+async function runTasksNow(browserId, sendResponse) {
+  try {
+    log.info('Manual task execution triggered for browserId:', browserId);
+    
+    // Use the same lease flow as checkForTasks but with the provided browserId
+    const freeSlots = getConcurrency() - runningTaskCount;
+    if (freeSlots <= 0) {
+      log.info(`All ${getConcurrency()} task slots are busy, not leasing`);
+      sendResponse({ success: true, busy: true, message: `All ${getConcurrency()} task slots are busy` });
+      return;
+    }
+    const { tasks } = await leaseTasks(browserId, freeSlots);
     
-    if (taskData.hasTask) {
-      console.log('Task found and executing:', taskData.task);
-      await executeTask(taskData.task);
-      sendResponse({ success: true, message: 'Task executed successfully' });
+    if (tasks.length > 0) {
+      log.info(`Executing ${tasks.length} leased task(s) in parallel`);
+      await Promise.all(tasks.map(task => runPooledTask(task)));
+      sendResponse({ success: true, message: `${tasks.length} task(s) executed` });
     } else {
-      console.log('No tasks available for manual execution');
+      log.info('No tasks available for manual execution');
       sendResponse({ success: true, message: 'No tasks available' });
     }
     
   } catch (error) {
-    console.error('Error in manual task execution:', error);
+    log.error('Error in manual task execution:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
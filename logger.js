@@ -0,0 +1,21 @@
+// Levelled logger for the background service worker. Messages below the active profile's
+// log level (LOG_LEVELS in profiles.js) are dropped; errors are always logged. The global
+// console is left untouched, so Chrome's and other scripts' output is unaffected.
+
+let logThreshold = LOG_LEVELS.indexOf('info');
+
+function setLogLevel(level) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  logThreshold = threshold === -1 ? LOG_LEVELS.indexOf('info') : threshold;
+}
+
+function isLogLevelEnabled(level) {
+  return LOG_LEVELS.indexOf(level) <= logThreshold;
+}
+
+const log = {
+  error: (...args) => console.error(...args),
+  warn: (...args) => isLogLevelEnabled('warn') && console.warn(...args),
+  info: (...args) => isLogLevelEnabled('info') && console.log(...args),
+  debug: (...args) => isLogLevelEnabled('debug') && console.debug(...args)
+};
@@ -0,0 +1,178 @@
+// Options page: edits every setting of a profile. The form is built from PROFILE_SETTINGS,
+// and saved profiles reach the service worker through chrome.storage.onChanged.
+
+const SETTING_HINTS = {
+  authToken: 'Issued when the browser registers from the popup',
+  taskInterval: 'Polling backs off to this while the queue is empty; pushed jobs arrive immediately',
+  taskTimeoutSeconds: 'A task still running after this is stopped and reported with whatever the page rendered',
+  maxWaitSeconds: 'Used when a task sets readiness conditions without maxWaitMs',
+  pool: 'Shared pool this browser takes unpinned jobs from. Leave empty for jobs without a pool',
+  tags: 'One per line, e.g. region=eu or logged-in:linkedin. Jobs requiring tags go to browsers with all of them',
+  allowedDomains: 'One per line; subdomains are included. Leave empty to allow every domain',
+  screenshotFormat: 'Used when a screenshot task does not set a format',
+  logLevel: 'Service worker console output'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  const profileSelect = document.getElementById('profileSelect');
+  const settingsForm = document.getElementById('settingsForm');
+  const statusMessage = document.getElementById('statusMessage');
+  const saveBtn = document.getElementById('saveBtn');
+  const resetBtn = document.getElementById('resetBtn');
+
+  const inputs = buildSettingsForm();
+
+  let profiles = {};
+  let activeProfile = null;
+  let isDirty = false;
+
+  loadSavedValues();
+
+  profileSelect.addEventListener('change', function() {
+    fillSettingsForm(profiles[profileSelect.value]);
+  });
+
+  settingsForm.addEventListener('input', function() {
+    isDirty = true;
+  });
+
+  // Pick up profiles saved from the popup unless there are unsaved edits here
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && (changes.profiles || changes.activeProfile) && !isDirty) {
+      loadSavedValues(profileSelect.value);
+    }
+  });
+
+  saveBtn.addEventListener('click', async function() {
+    const name = profileSelect.value;
+    const profile = readSettingsForm();
+
+    const error = validateProfile(name, profile);
+    if (error) {
+      showStatus(error, 'error');
+      return;
+    }
+
+    profiles[name] = profile;
+    isDirty = false;
+    await saveProfiles(profiles, activeProfile);
+
+    showStatus(`Profile "${name}" saved`, 'success');
+  });
+
+  resetBtn.addEventListener('click', function() {
+    // Only fills the form; nothing changes until Save
+    fillSettingsForm(resetProfileSettings(readSettingsForm()));
+    isDirty = true;
+    showStatus('Defaults restored; click Save to keep them', 'success');
+  });
+
+  function buildSettingsForm() {
+    const fieldInputs = {};
+    const sections = {};
+
+    for (const [key, spec] of Object.entries(PROFILE_SETTINGS)) {
+      if (!sections[spec.group]) {
+        const section = document.createElement('div');
+        section.className = 'section';
+        const heading = document.createElement('h3');
+        heading.textContent = spec.group;
+        section.appendChild(heading);
+        settingsForm.appendChild(section);
+        sections[spec.group] = section;
+      }
+
+      const label = document.createElement('label');
+      label.htmlFor = `setting-${key}`;
+      label.textContent = spec.unit ? `${spec.label} (${spec.unit})` : spec.label;
+
+      const input = createSettingInput(spec);
+      input.id = `setting-${key}`;
+
+      sections[spec.group].append(label, input);
+
+      if (SETTING_HINTS[key]) {
+        const hint = document.createElement('div');
+        hint.className = 'hint';
+        hint.textContent = SETTING_HINTS[key];
+        sections[spec.group].appendChild(hint);
+      }
+
+      fieldInputs[key] = input;
+    }
+
+    return fieldInputs;
+  }
+
+  function createSettingInput(spec) {
+    switch (spec.type) {
+      case 'enum': {
+        const select = document.createElement('select');
+        for (const value of spec.values) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = value;
+          select.appendChild(option);
+        }
+        return select;
+      }
+      case 'domains':
+      case 'tags':
+        return document.createElement('textarea');
+      default: {
+        const input = document.createElement('input');
+        if (spec.type === 'integer') {
+          input.type = 'number';
+          input.min = spec.min;
+          input.max = spec.max;
+        } else {
+          input.type = spec.secret ? 'password' : spec.type === 'url' ? 'url' : 'text';
+        }
+        return input;
+      }
+    }
+  }
+
+  async function loadSavedValues(selectedName) {
+    const stored = await loadProfiles();
+    profiles = stored.profiles;
+    activeProfile = stored.activeProfile;
+
+    profileSelect.innerHTML = '';
+    for (const name of Object.keys(profiles)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === activeProfile ? `${name} (active)` : name;
+      profileSelect.appendChild(option);
+    }
+
+    const name = profiles[selectedName] ? selectedName : activeProfile;
+    profileSelect.value = name;
+    fillSettingsForm(profiles[name]);
+  }
+
+  function fillSettingsForm(profile) {
+    if (!profile) {
+      return;
+    }
+
+    for (const [key, input] of Object.entries(inputs)) {
+      const value = profile[key];
+      input.value = Array.isArray(value) ? value.join('\n') : value;
+    }
+    isDirty = false;
+  }
+
+  function readSettingsForm() {
+    const fields = {};
+    for (const [key, input] of Object.entries(inputs)) {
+      fields[key] = input.value;
+    }
+    return createProfile(fields);
+  }
+
+  function showStatus(message, type) {
+    statusMessage.textContent = message;
+    statusMessage.className = 'status ' + type;
+  }
+});
@@ -0,0 +1,160 @@
+// Durable outbox for task results in the background service worker.
+// Every submission is written to IndexedDB before it is uploaded, so captured content
+// survives worker outages and service-worker restarts. Failed uploads are retried with
+// exponential backoff; entries that exhaust their attempts or are rejected by the worker
+// stay as 'failed' until retried from the popup.
+
+const OUTBOX_DB_NAME = 'behalf-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'results';
+const OUTBOX_MAX_BYTES = 100 * 1024 * 1024; // Evict once stored results exceed 100MB
+const OUTBOX_MAX_ENTRIES = 500;
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+
+let outboxDbPromise = null;
+
+function openOutboxDb() {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'jobId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        outboxDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return outboxDbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result once committed
+async function withOutboxStore(mode, callback) {
+  const db = await openOutboxDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = callback(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function getOutboxEntries() {
+  return withOutboxStore('readonly', store => store.getAll());
+}
+
+function putOutboxEntry(entry) {
+  return withOutboxStore('readwrite', store => store.put(entry));
+}
+
+function deleteOutboxEntry(jobId) {
+  return withOutboxStore('readwrite', store => store.delete(jobId));
+}
+
+// Overwrites an entry only while it is still stored, so a result that was delivered or
+// evicted in the meantime doesn't come back; resolves with whether it was written
+async function replaceOutboxEntry(entry) {
+  const db = await openOutboxDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    let replaced = false;
+    const request = store.getKey(entry.jobId);
+    request.onsuccess = () => {
+      if (request.result !== undefined) {
+        store.put(entry);
+        replaced = true;
+      }
+    };
+    transaction.oncomplete = () => resolve(replaced);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function createOutboxEntry(task, submitData, workerUrl) {
+  const now = Date.now();
+  return {
+    jobId: task.jobId,
+    leaseId: task.leaseId,
+    taskName: task.taskName,
+    url: task.url,
+    workerUrl: workerUrl,
+    submitData: submitData,
+    bytes: new TextEncoder().encode(JSON.stringify(submitData)).length,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: now,
+    createdAt: now
+  };
+}
+
+// Stores an entry, first evicting failed then pending results (oldest first) to stay under the caps
+async function addToOutbox(entry) {
+  if (entry.bytes > OUTBOX_MAX_BYTES) {
+    throw new Error(`Result of ${entry.bytes} bytes exceeds the outbox cap of ${OUTBOX_MAX_BYTES} bytes`);
+  }
+
+  const entries = (await getOutboxEntries()).filter(existing => existing.jobId !== entry.jobId);
+  let totalBytes = entries.reduce((sum, existing) => sum + existing.bytes, 0) + entry.bytes;
+  let count = entries.length + 1;
+
+  const evictionOrder = entries.sort((a, b) => {
+    if (a.status !== b.status) {
+      return a.status === 'failed' ? -1 : 1;
+    }
+    return a.createdAt - b.createdAt;
+  });
+
+  for (const candidate of evictionOrder) {
+    if (totalBytes <= OUTBOX_MAX_BYTES && count <= OUTBOX_MAX_ENTRIES) {
+      break;
+    }
+    await deleteOutboxEntry(candidate.jobId);
+    totalBytes -= candidate.bytes;
+    count--;
+    log.warn(`Outbox full, evicted ${candidate.status} result for job ${candidate.jobId}`);
+  }
+
+  await putOutboxEntry(entry);
+}
+
+function getOutboxRetryDelay(attempts) {
+  const delay = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1));
+  // Jitter so a fleet coming back online doesn't retry in lockstep
+  return Math.round(delay * (0.5 + Math.random() * 0.5));
+}
+
+async function recordOutboxFailure(entry, error, permanent) {
+  entry.attempts++;
+  entry.lastError = error.message;
+
+  if (permanent || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+    entry.status = 'failed';
+  } else {
+    entry.nextAttemptAt = Date.now() + getOutboxRetryDelay(entry.attempts);
+  }
+
+  await replaceOutboxEntry(entry);
+}
+
+// Marks failed entries (or one of them) as due now; manual retries start a fresh attempt count.
+// Pending entries are left on their own schedule, including any that are being uploaded.
+async function resetOutboxEntries(jobId) {
+  const entries = await getOutboxEntries();
+  for (const entry of entries) {
+    if (entry.status !== 'failed' || (jobId && entry.jobId !== jobId)) {
+      continue;
+    }
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = Date.now();
+    await putOutboxEntry(entry);
+  }
+}
@@ -1,39 +1,218 @@
 document.addEventListener('DOMContentLoaded', function() {
+  const profileSelect = document.getElementById('profileSelect');
+  const currentProfile = document.getElementById('currentProfile');
+  const activeProfileDisplay = document.getElementById('activeProfileDisplay');
+  const profileNameInput = document.getElementById('profileNameInput');
+  const workerUrlInput = document.getElementById('workerUrlInput');
   const browserIdInput = document.getElementById('browserIdInput');
-  const setBrowserIdBtn = document.getElementById('setBrowserIdBtn');
-  const currentBrowserId = document.getElementById('currentBrowserId');
-  const browserIdDisplay = document.getElementById('browserIdDisplay');
+  const authTokenInput = document.getElementById('authTokenInput');
+  const enrollmentCodeInput = document.getElementById('enrollmentCodeInput');
+  const registerBrowserBtn = document.getElementById('registerBrowserBtn');
   const taskInterval = document.getElementById('taskInterval');
-  const saveIntervalBtn = document.getElementById('saveIntervalBtn');
+  const concurrencyInput = document.getElementById('concurrencyInput');
+  const maxTabsInput = document.getElementById('maxTabsInput');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const activateProfileBtn = document.getElementById('activateProfileBtn');
+  const newProfileBtn = document.getElementById('newProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  const openOptionsBtn = document.getElementById('openOptionsBtn');
+  const exportProfilesBtn = document.getElementById('exportProfilesBtn');
+  const importProfilesBtn = document.getElementById('importProfilesBtn');
+  const importProfilesInput = document.getElementById('importProfilesInput');
   const statusMessage = document.getElementById('statusMessage');
   const testConnectionBtn = document.getElementById('testConnectionBtn');
   const clearStatusBtn = document.getElementById('clearStatusBtn');
   const runTasksNowBtn = document.getElementById('runTasksNowBtn');
+  const outboxSummary = document.getElementById('outboxSummary');
+  const outboxList = document.getElementById('outboxList');
+  const retryOutboxBtn = document.getElementById('retryOutboxBtn');
+  const dashboardTabBtn = document.getElementById('dashboardTabBtn');
+  const settingsTabBtn = document.getElementById('settingsTabBtn');
+  const dashboardTab = document.getElementById('dashboardTab');
+  const settingsTab = document.getElementById('settingsTab');
+  const completedCount = document.getElementById('completedCount');
+  const failedCount = document.getElementById('failedCount');
+  const capturedBytes = document.getElementById('capturedBytes');
+  const runningSummary = document.getElementById('runningSummary');
+  const runningList = document.getElementById('runningList');
+  const historySummary = document.getElementById('historySummary');
+  const historyList = document.getElementById('historyList');
+  const permissionsSection = document.getElementById('permissionsSection');
+  const permissionList = document.getElementById('permissionList');
+
+  const ACTIVITY_REFRESH_MS = 2000;
+
+  let profiles = {};
+  let activeProfile = null;
+  let activity = null;
 
   // Load saved values on popup open
   loadSavedValues();
+  loadOutbox();
+  loadActivity();
 
-  // Set Browser ID button click handler
-  setBrowserIdBtn.addEventListener('click', function() {
-    const browserId = browserIdInput.value.trim();
-    if (!browserId) {
-      showStatus('Please enter a browser ID', 'error');
+  // Keep the dashboard live while the popup is open; elapsed times tick every second
+  setInterval(loadActivity, ACTIVITY_REFRESH_MS);
+  setInterval(renderRunning, 1000);
+
+  dashboardTabBtn.addEventListener('click', function() {
+    showTab(dashboardTab, dashboardTabBtn);
+  });
+
+  settingsTabBtn.addEventListener('click', function() {
+    showTab(settingsTab, settingsTabBtn);
+  });
+
+  // Show the selected profile's settings for editing
+  profileSelect.addEventListener('change', function() {
+    fillProfileForm(profileSelect.value);
+  });
+
+  // Save Profile button click handler
+  saveProfileBtn.addEventListener('click', async function() {
+    const name = profileNameInput.value.trim();
+    const profile = readProfileForm();
+
+    const error = validateProfile(name, profile);
+    if (error) {
+      showStatus(error, 'error');
       return;
     }
 
-    chrome.storage.local.set({ browserId: browserId }, function() {
-      showStatus('Browser ID saved successfully!', 'success');
-      displayCurrentBrowserId(browserId);
-      browserIdInput.value = '';
-      
-      // Send message to background script to update task checking
-      chrome.runtime.sendMessage({
-        action: 'updateBrowserId',
-        browserId: browserId
-      });
+    await storeProfile(name, profile);
+
+    showStatus(`Profile "${name}" saved successfully!`, 'success');
+  });
+
+  // Register button click handler
+  registerBrowserBtn.addEventListener('click', function() {
+    const name = profileNameInput.value.trim();
+    const profile = readProfileForm();
+    const enrollmentCode = enrollmentCodeInput.value.trim();
+
+    const error = validateProfile(name, profile);
+    if (error) {
+      showStatus(error, 'error');
+      return;
+    }
+    if (!profile.browserId || !enrollmentCode) {
+      showStatus('Enter a browser ID and an enrollment code to register', 'error');
+      return;
+    }
+
+    showStatus('Registering browser...', 'success');
+
+    chrome.runtime.sendMessage({
+      action: 'registerBrowser',
+      workerUrl: profile.workerUrl,
+      browserId: profile.browserId,
+      enrollmentCode: enrollmentCode
+    }, async function(response) {
+      if (!response || !response.success) {
+        showStatus('Registration failed: ' + (response?.error || 'Unknown error'), 'error');
+        return;
+      }
+
+      // Store the issued token with the profile right away; the code can't be redeemed twice
+      await storeProfile(name, { ...profile, authToken: response.token });
+      enrollmentCodeInput.value = '';
+
+      showStatus(`Browser "${profile.browserId}" registered`, 'success');
     });
   });
 
+  // Use Profile button click handler
+  activateProfileBtn.addEventListener('click', async function() {
+    const name = profileSelect.value;
+    if (!profiles[name]) {
+      showStatus('Save the profile before using it', 'error');
+      return;
+    }
+
+    await saveProfiles(profiles, name);
+    await loadSavedValues(name);
+
+    showStatus(`Switched to profile "${name}"`, 'success');
+  });
+
+  // New Profile button click handler
+  newProfileBtn.addEventListener('click', function() {
+    profileSelect.value = '';
+    profileNameInput.value = '';
+    const profile = createProfile();
+    workerUrlInput.value = profile.workerUrl;
+    browserIdInput.value = '';
+    authTokenInput.value = '';
+    taskInterval.value = profile.taskInterval;
+    concurrencyInput.value = profile.concurrency;
+    maxTabsInput.value = profile.maxTabs;
+    profileNameInput.focus();
+  });
+
+  // Delete Profile button click handler
+  deleteProfileBtn.addEventListener('click', async function() {
+    const name = profileSelect.value;
+    if (!profiles[name]) {
+      showStatus('Select a saved profile to delete', 'error');
+      return;
+    }
+    if (Object.keys(profiles).length === 1) {
+      showStatus('Cannot delete the only profile', 'error');
+      return;
+    }
+
+    delete profiles[name];
+    if (activeProfile === name) {
+      activeProfile = Object.keys(profiles)[0];
+    }
+
+    await saveProfiles(profiles, activeProfile);
+    await loadSavedValues();
+
+    showStatus(`Profile "${name}" deleted`, 'success');
+  });
+
+  // All Settings button click handler
+  openOptionsBtn.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Export Profiles button click handler
+  exportProfilesBtn.addEventListener('click', function() {
+    const blob = new Blob([exportProfiles(profiles, activeProfile)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'behalf-profiles.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  // Import Profiles button click handler
+  importProfilesBtn.addEventListener('click', function() {
+    importProfilesInput.click();
+  });
+
+  importProfilesInput.addEventListener('change', async function() {
+    const file = importProfilesInput.files[0];
+    importProfilesInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const imported = parseProfileImport(await file.text());
+
+      // Imported profiles replace existing ones with the same name
+      await saveProfiles({ ...profiles, ...imported.profiles }, imported.activeProfile);
+      await loadSavedValues();
+
+      showStatus(`Imported ${Object.keys(imported.profiles).length} profile(s)`, 'success');
+    } catch (error) {
+      showStatus('Import failed: ' + error.message, 'error');
+    }
+  });
+
   // Clear Status button click handler (single binding)
   clearStatusBtn.addEventListener('click', function() {
     statusMessage.textContent = '';
@@ -41,92 +220,357 @@ document.addEventListener('DOMContentLoaded', function() {
     clearStatusBtn.style.display = 'none';
   });
 
-  // Save Interval button click handler
-  saveIntervalBtn.addEventListener('click', function() {
-    const interval = parseInt(taskInterval.value);
-    if (interval < 30 || interval > 3600) {
-      showStatus('Interval must be between 30 and 3600 seconds', 'error');
+  // Test Connection button click handler
+  testConnectionBtn.addEventListener('click', function() {
+    // Test the URL in the form so a profile can be checked before it is saved
+    const workerUrl = readProfileForm().workerUrl;
+
+    chrome.runtime.sendMessage({
+      action: 'testConnection',
+      workerUrl: workerUrl
+    }, function(response) {
+      if (response && response.success) {
+        showStatus('Connection test successful!', 'success');
+      } else {
+        showStatus('Connection test failed: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  });
+
+  // Run Tasks Now button click handler
+  runTasksNowBtn.addEventListener('click', function() {
+    const browserId = profiles[activeProfile]?.browserId;
+    if (!browserId) {
+      showStatus('Please set a browser ID on the active profile first', 'error');
       return;
     }
 
-    chrome.storage.local.set({ taskInterval: interval }, function() {
-      showStatus('Task interval saved successfully!', 'success');
-      
-      // Send message to background script to update interval
-      chrome.runtime.sendMessage({
-        action: 'updateTaskInterval',
-        interval: interval
-      });
+    showStatus('Running tasks now...', 'success');
+    showTab(dashboardTab, dashboardTabBtn);
+
+    // Send manual task execution request to background script
+    chrome.runtime.sendMessage({
+      action: 'runTasksNow',
+      browserId: browserId
+    }, function(response) {
+      if (response && response.busy) {
+        showStatus(response.message, 'error');
+      } else if (response && response.success) {
+        showStatus('Tasks executed successfully!', 'success');
+      } else {
+        showStatus('Task execution failed: ' + (response?.error || 'Unknown error'), 'error');
+      }
+      loadActivity();
+      loadOutbox();
     });
   });
 
-  // Test Connection button click handler
-  testConnectionBtn.addEventListener('click', function() {
-    chrome.storage.local.get(['browserId'], function(result) {
-      if (!result.browserId) {
-        showStatus('Please set a browser ID first', 'error');
+  // Retry All button click handler
+  retryOutboxBtn.addEventListener('click', function() {
+    retryOutbox();
+  });
+
+  function loadOutbox() {
+    chrome.runtime.sendMessage({ action: 'getOutbox' }, function(response) {
+      if (!response || !response.success) {
+        outboxSummary.textContent = 'Outbox unavailable: ' + (response?.error || 'Unknown error');
         return;
       }
+      renderOutbox(response.entries);
+    });
+  }
 
-      // Send test request to background script
-      chrome.runtime.sendMessage({
-        action: 'testConnection',
-        browserId: result.browserId
-      }, function(response) {
-        if (response && response.success) {
-          showStatus('Connection test successful!', 'success');
-        } else {
-          showStatus('Connection test failed: ' + (response?.error || 'Unknown error'), 'error');
-        }
-      });
+  function renderOutbox(entries) {
+    const pending = entries.filter(entry => entry.status === 'pending').length;
+    const failed = entries.filter(entry => entry.status === 'failed').length;
+
+    outboxSummary.textContent = entries.length === 0
+      ? 'No pending uploads'
+      : `${pending} pending, ${failed} failed`;
+    retryOutboxBtn.style.display = failed > 0 ? 'block' : 'none';
+
+    outboxList.innerHTML = '';
+    for (const entry of entries) {
+      const item = document.createElement('li');
+
+      const summary = document.createElement('div');
+      const nextAttempt = entry.status === 'pending'
+        ? `, next try ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`
+        : '';
+      summary.textContent = `${entry.jobId} · ${entry.status} · ${entry.attempts} attempt(s) · ` +
+        `${Math.ceil(entry.bytes / 1024)} KB${nextAttempt}`;
+      item.appendChild(summary);
+
+      if (entry.lastError) {
+        const error = document.createElement('div');
+        error.className = 'outbox-error';
+        error.textContent = entry.lastError;
+        item.appendChild(error);
+      }
+
+      if (entry.status === 'failed') {
+        const retryButton = document.createElement('button');
+        retryButton.textContent = 'Retry';
+        retryButton.addEventListener('click', () => retryOutbox(entry.jobId));
+        item.appendChild(retryButton);
+      }
+
+      outboxList.appendChild(item);
+    }
+  }
+
+  function retryOutbox(jobId) {
+    showStatus('Retrying uploads...', 'success');
+
+    chrome.runtime.sendMessage({ action: 'retryOutbox', jobId: jobId }, function(response) {
+      if (response && response.success) {
+        showStatus('Retry finished', 'success');
+      } else {
+        showStatus('Retry failed: ' + (response?.error || 'Unknown error'), 'error');
+      }
+      loadOutbox();
     });
-  
-  // Run Tasks Now button click handler
-  runTasksNowBtn.addEventListener("click", function() {
-    chrome.storage.local.get(["browserId"], function(result) {
-      if (!result.browserId) {
-        showStatus("Please set a browser ID first", "error");
+  }
+
+  function showTab(tab, tabButton) {
+    for (const [panel, button] of [[dashboardTab, dashboardTabBtn], [settingsTab, settingsTabBtn]]) {
+      panel.style.display = panel === tab ? 'flex' : 'none';
+      button.classList.toggle('active', button === tabButton);
+    }
+  }
+
+  function loadActivity() {
+    chrome.runtime.sendMessage({ action: 'getActivity' }, function(response) {
+      if (!response || !response.success) {
+        historySummary.textContent = 'Activity unavailable: ' + (response?.error || 'Unknown error');
         return;
       }
+      activity = response;
+      renderCounters(response.counters);
+      renderRunning();
+      renderHistory(response.history);
+      renderPermissionRequests(response.permissionRequests || {});
+    });
+  }
 
-      showStatus("Running tasks now...", "success");
+  // The background page can't show Chrome's permission prompt; a click here can
+  function renderPermissionRequests(requests) {
+    const entries = Object.entries(requests);
+    permissionsSection.style.display = entries.length > 0 ? 'block' : 'none';
 
-      // Send manual task execution request to background script
-      chrome.runtime.sendMessage({
-        action: "runTasksNow",
-        browserId: result.browserId
-      }, function(response) {
-        if (response && response.success) {
-          showStatus("Tasks executed successfully!", "success");
-        } else {
-          showStatus("Task execution failed: " + (response?.error || "Unknown error"), "error");
-        }
+    permissionList.innerHTML = '';
+    for (const [taskName, permissions] of entries) {
+      const item = document.createElement('li');
+      appendLine(item, `${taskName} needs: ${permissions.join(', ')}`);
+
+      const grantButton = document.createElement('button');
+      grantButton.textContent = 'Grant';
+      grantButton.addEventListener('click', function() {
+        chrome.permissions.request({ permissions: permissions }, function(granted) {
+          showStatus(granted ? `${taskName} tasks enabled` : 'Permission not granted', granted ? 'success' : 'error');
+          loadActivity();
+        });
       });
+      item.appendChild(grantButton);
+
+      permissionList.appendChild(item);
+    }
+  }
+
+  function renderCounters(counters) {
+    completedCount.textContent = counters.completed;
+    failedCount.textContent = counters.failed;
+    capturedBytes.textContent = formatBytes(counters.bytes);
+  }
+
+  function renderRunning() {
+    if (!activity) {
+      return;
+    }
+
+    const running = activity.running;
+    const paused = activity.paused
+      ? ' · leasing paused by the worker'
+      : activity.draining ? ' · draining, no new tasks' : '';
+    runningSummary.textContent = (running.length === 0 ? 'No running tasks' : `${running.length} running`) + paused;
+
+    runningList.innerHTML = '';
+    for (const task of running) {
+      const item = document.createElement('li');
+      appendLine(item, task.url);
+      appendLine(item, `${task.taskName} · ${formatDuration(Date.now() - task.startedAt)}`, 'activity-meta');
+      appendJobDetails(item, task.jobId, activity.workerUrl);
+      runningList.appendChild(item);
+    }
+  }
+
+  function renderHistory(history) {
+    historySummary.textContent = history.length === 0
+      ? 'No tasks yet'
+      : `Last ${history.length} task(s)`;
+
+    historyList.innerHTML = '';
+    for (const entry of history) {
+      const item = document.createElement('li');
+      appendLine(item, entry.url);
+
+      const status = entry.status === 'completed' && !entry.uploaded ? 'completed, upload pending' : entry.status;
+      appendLine(item, `${status} · ${new Date(entry.finishedAt).toLocaleTimeString()} · ` +
+        `${formatDuration(entry.durationMs)} · ${formatBytes(entry.bytes)}`,
+        entry.status === 'failed' ? 'activity-failed' : 'activity-meta');
+
+      if (entry.error) {
+        appendLine(item, entry.error, 'activity-failed');
+      }
+
+      appendJobDetails(item, entry.jobId, entry.workerUrl);
+      historyList.appendChild(item);
+    }
+  }
+
+  function appendLine(item, text, className) {
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (className) {
+      line.className = className;
+    }
+    item.appendChild(line);
+  }
+
+  function appendJobDetails(item, jobId, workerUrl) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = 'Details';
+    link.addEventListener('click', function(event) {
+      event.preventDefault();
+      link.remove();
+      showJobDetails(item, jobId, workerUrl);
     });
-  });
-});
+    item.appendChild(link);
+  }
+
+  // Fetched by the background page, which holds the browser token the worker asks for
+  function showJobDetails(item, jobId, workerUrl) {
+    const details = document.createElement('div');
+    details.className = 'activity-meta';
+    details.textContent = 'Loading...';
+    item.appendChild(details);
+
+    chrome.runtime.sendMessage({ action: 'getJobDetails', jobId: jobId, workerUrl: workerUrl }, function(response) {
+      if (!response || !response.success) {
+        details.className = 'activity-failed';
+        details.textContent = 'Details unavailable: ' + (response?.error || 'Unknown error');
+        return;
+      }
 
-  function loadSavedValues() {
-    chrome.storage.local.get(['browserId', 'taskInterval'], function(result) {
-      if (result.browserId) {
-        displayCurrentBrowserId(result.browserId);
+      const job = response.job;
+      details.textContent = `Worker: ${job.state} · ${job.attempts} attempt(s)`;
+      if (job.error_message) {
+        appendLine(details, job.error_message, 'activity-failed');
       }
-      if (result.taskInterval) {
-        taskInterval.value = result.taskInterval;
+
+      const artifacts = job.artifacts;
+      if (!artifacts) {
+        appendLine(details, 'No artifacts stored');
+        return;
+      }
+      const stored = [];
+      if (artifacts.raw_bytes) {
+        stored.push(`${artifacts.raw_content_type || 'raw'} ${formatBytes(artifacts.raw_bytes)}`);
+      }
+      if (artifacts.parsed_bytes) {
+        stored.push(`parsed JSON ${formatBytes(artifacts.parsed_bytes)}`);
+      }
+      if (artifacts.screenshot_bytes) {
+        stored.push(`${artifacts.screenshot_content_type || 'screenshot'} ${formatBytes(artifacts.screenshot_bytes)}`);
       }
+      appendLine(details, 'Artifacts: ' + (stored.length > 0 ? stored.join(', ') : 'none'));
     });
   }
 
-  function displayCurrentBrowserId(browserId) {
-    browserIdDisplay.textContent = browserId;
-    currentBrowserId.style.display = 'block';
+  function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) {
+      return '0 KB';
+    }
+    return bytes < 1024 * 1024
+      ? `${Math.ceil(bytes / 1024)} KB`
+      : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  async function storeProfile(name, profile) {
+    // Saving under a new name renames the selected profile
+    const previousName = profileSelect.value;
+    if (previousName && previousName !== name && profiles[previousName]) {
+      delete profiles[previousName];
+      if (activeProfile === previousName) {
+        activeProfile = name;
+      }
+    }
+
+    profiles[name] = profile;
+    await saveProfiles(profiles, activeProfile || name);
+    await loadSavedValues(name);
+  }
+
+  async function loadSavedValues(selectedName) {
+    const stored = await loadProfiles();
+    profiles = stored.profiles;
+    activeProfile = stored.activeProfile;
+
+    profileSelect.innerHTML = '';
+    for (const name of Object.keys(profiles)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === activeProfile ? `${name} (active)` : name;
+      profileSelect.appendChild(option);
+    }
+
+    activeProfileDisplay.textContent = activeProfile;
+    currentProfile.style.display = 'block';
+
+    const name = profiles[selectedName] ? selectedName : activeProfile;
+    profileSelect.value = name;
+    fillProfileForm(name);
+  }
+
+  function fillProfileForm(name) {
+    const profile = profiles[name];
+    if (!profile) {
+      return;
+    }
+
+    profileNameInput.value = name;
+    workerUrlInput.value = profile.workerUrl;
+    browserIdInput.value = profile.browserId;
+    authTokenInput.value = profile.authToken;
+    taskInterval.value = profile.taskInterval;
+    concurrencyInput.value = profile.concurrency;
+    maxTabsInput.value = profile.maxTabs;
+  }
+
+  function readProfileForm() {
+    // Settings that are only on the options page keep their saved values
+    return createProfile({
+      ...profiles[profileSelect.value],
+      workerUrl: workerUrlInput.value.trim(),
+      browserId: browserIdInput.value.trim(),
+      authToken: authTokenInput.value.trim(),
+      taskInterval: taskInterval.value,
+      concurrency: concurrencyInput.value,
+      maxTabs: maxTabsInput.value
+    });
   }
 
   function showStatus(message, type) {
     clearStatusBtn.style.display = type === "error" ? "block" : "none";
     statusMessage.textContent = message;
     statusMessage.className = 'status ' + type;
-    
+
     // Clear status after 10 seconds for errors, 5 seconds for success
     const timeout = type === "error" ? 10000 : 5000;
     setTimeout(() => {
@@ -134,4 +578,4 @@ document.addEventListener('DOMContentLoaded', function() {
       statusMessage.className = 'status';
     }, timeout);
   }
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,264 @@
+// Worker connection profiles shared by the popup, the options page and the background service worker.
+// Stored in chrome.storage.local as { profiles: { [name]: profile }, activeProfile: name }.
+// PROFILE_SETTINGS is the single schema for a profile: defaults, bounds and validation all come from it.
+
+const DEFAULT_WORKER_URL = 'https://behalf-task-manager-production.dev-a96.workers.dev';
+const DEFAULT_PROFILE_NAME = 'production';
+const DEFAULT_TASK_INTERVAL = 300; // 5 minutes
+const MIN_TASK_INTERVAL = 30;
+const MAX_TASK_INTERVAL = 3600;
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 10; // The worker leases at most 10 tasks per request
+const DEFAULT_MAX_TABS = 5;
+const MAX_TABS = 20;
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const PROFILE_EXPORT_VERSION = 1;
+
+// Settings by key: { group, label, type: url|string|integer|enum|domains|tags, default, min, max, unit, values, pattern }
+const PROFILE_SETTINGS = {
+  workerUrl: { group: 'Connection', label: 'Worker URL', type: 'url', default: DEFAULT_WORKER_URL },
+  browserId: {
+    group: 'Connection',
+    label: 'Browser ID',
+    type: 'string',
+    default: '',
+    pattern: /^[a-zA-Z0-9_-]{3,100}$/,
+    patternHint: '3-100 letters, numbers, hyphens or underscores'
+  },
+  authToken: { group: 'Connection', label: 'Browser token', type: 'string', default: '', secret: true },
+  pool: {
+    group: 'Routing',
+    label: 'Pool',
+    type: 'string',
+    default: '',
+    pattern: /^[a-zA-Z0-9_-]{1,64}$/,
+    patternHint: '1-64 letters, numbers, hyphens or underscores'
+  },
+  tags: { group: 'Routing', label: 'Tags', type: 'tags', default: [] },
+  taskInterval: {
+    group: 'Polling',
+    label: 'Interval',
+    type: 'integer',
+    default: DEFAULT_TASK_INTERVAL,
+    min: MIN_TASK_INTERVAL,
+    max: MAX_TASK_INTERVAL,
+    unit: 'seconds'
+  },
+  concurrency: { group: 'Polling', label: 'Parallel tasks', type: 'integer', default: DEFAULT_CONCURRENCY, min: 1, max: MAX_CONCURRENCY },
+  maxTabs: { group: 'Polling', label: 'Max open tabs', type: 'integer', default: DEFAULT_MAX_TABS, min: 1, max: MAX_TABS },
+  taskTimeoutSeconds: { group: 'Timeouts', label: 'Task timeout', type: 'integer', default: 120, min: 10, max: 1800, unit: 'seconds' },
+  maxWaitSeconds: { group: 'Timeouts', label: 'Readiness wait', type: 'integer', default: 30, min: 1, max: 300, unit: 'seconds' },
+  allowedDomains: { group: 'Capture', label: 'Allowed domains', type: 'domains', default: [] },
+  screenshotFormat: { group: 'Capture', label: 'Screenshot format', type: 'enum', values: ['png', 'jpeg'], default: 'png' },
+  screenshotQuality: { group: 'Capture', label: 'JPEG quality', type: 'integer', default: 80, min: 1, max: 100 },
+  logLevel: { group: 'Logging', label: 'Log level', type: 'enum', values: LOG_LEVELS, default: 'info' }
+};
+
+// Settings kept when a profile is reset to defaults
+const PROFILE_IDENTITY_SETTINGS = ['workerUrl', 'browserId', 'authToken'];
+
+// Builds a profile from stored or form values, converting types and filling defaults.
+// Out-of-range values are kept so validateProfile can report them.
+function createProfile(fields = {}) {
+  const profile = {};
+  for (const [key, spec] of Object.entries(PROFILE_SETTINGS)) {
+    profile[key] = coerceSetting(spec, fields[key]);
+  }
+  return profile;
+}
+
+function coerceSetting(spec, value) {
+  if (value === undefined || value === null || value === '') {
+    return Array.isArray(spec.default) ? [...spec.default] : spec.default;
+  }
+
+  switch (spec.type) {
+    case 'url':
+      return String(value).trim().replace(/\/+$/, '');
+    case 'integer': {
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.trunc(number) : spec.default;
+    }
+    case 'domains': {
+      const domains = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+      return domains
+        .map(domain => String(domain).trim().toLowerCase().replace(/^\*\./, ''))
+        .filter(Boolean);
+    }
+    case 'tags': {
+      const tags = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+      return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+    default:
+      return String(value).trim();
+  }
+}
+
+// Returns an error message for one setting, or null when the value is valid
+function validateSetting(key, value) {
+  const spec = PROFILE_SETTINGS[key];
+
+  switch (spec.type) {
+    case 'url':
+      try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          return `${spec.label} must use HTTP or HTTPS`;
+        }
+      } catch (error) {
+        return `Invalid ${spec.label.toLowerCase()}`;
+      }
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        return `${spec.label} must be between ${spec.min} and ${spec.max}${spec.unit ? ` ${spec.unit}` : ''}`;
+      }
+      return null;
+    case 'enum':
+      return spec.values.includes(value) ? null : `${spec.label} must be one of: ${spec.values.join(', ')}`;
+    case 'domains': {
+      const invalid = value.find(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain));
+      return invalid ? `${spec.label}: "${invalid}" is not a domain name` : null;
+    }
+    case 'tags': {
+      // Matches the worker's tag rules; at most 20 tags
+      const invalid = value.find(tag => !/^[a-zA-Z0-9_.:=-]{1,64}$/.test(tag));
+      if (invalid) {
+        return `${spec.label}: "${invalid}" may only use letters, numbers and _ . : = -`;
+      }
+      return value.length > 20 ? `${spec.label}: at most 20 tags` : null;
+    }
+    default:
+      if (value && spec.pattern && !spec.pattern.test(value)) {
+        return `${spec.label} must be ${spec.patternHint}`;
+      }
+      return null;
+  }
+}
+
+// Returns an error message, or null when the profile is usable
+function validateProfile(name, profile) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Profile name is required';
+  }
+
+  for (const key of Object.keys(PROFILE_SETTINGS)) {
+    const error = validateSetting(key, profile[key]);
+    if (error) {
+      return `${error} (profile "${name}")`;
+    }
+  }
+
+  return null;
+}
+
+// Replaces invalid stored values with defaults so a bad edit can't break the service worker
+function sanitizeProfile(name, profile) {
+  const sanitized = { ...profile };
+  for (const [key, spec] of Object.entries(PROFILE_SETTINGS)) {
+    const error = validateSetting(key, sanitized[key]);
+    if (error) {
+      console.warn(`Profile "${name}": ${error}, using the default`);
+      sanitized[key] = coerceSetting(spec, undefined);
+    }
+  }
+  return sanitized;
+}
+
+// Restores every setting except the endpoint and credentials to its default
+function resetProfileSettings(profile) {
+  const reset = createProfile();
+  for (const key of PROFILE_IDENTITY_SETTINGS) {
+    reset[key] = profile[key];
+  }
+  return reset;
+}
+
+// An empty list allows every domain; otherwise the URL's host must be a listed domain or a subdomain of one
+function isAllowedDomain(allowedDomains, url) {
+  if (!allowedDomains || allowedDomains.length === 0) {
+    return true;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+async function loadProfiles() {
+  const stored = await chrome.storage.local.get(['profiles', 'activeProfile', 'browserId', 'taskInterval']);
+
+  if (stored.profiles && Object.keys(stored.profiles).length > 0) {
+    // Fill in settings added after a profile was saved
+    const profiles = {};
+    for (const [name, fields] of Object.entries(stored.profiles)) {
+      profiles[name] = createProfile(fields);
+    }
+    const activeProfile = profiles[stored.activeProfile]
+      ? stored.activeProfile
+      : Object.keys(profiles)[0];
+    return { profiles, activeProfile };
+  }
+
+  // Migrate the single browserId/taskInterval pair saved before profiles existed
+  const profiles = {
+    [DEFAULT_PROFILE_NAME]: createProfile({
+      browserId: stored.browserId,
+      taskInterval: stored.taskInterval
+    })
+  };
+  await saveProfiles(profiles, DEFAULT_PROFILE_NAME);
+  await chrome.storage.local.remove(['browserId', 'taskInterval']);
+
+  return { profiles, activeProfile: DEFAULT_PROFILE_NAME };
+}
+
+async function saveProfiles(profiles, activeProfile) {
+  await chrome.storage.local.set({ profiles, activeProfile });
+}
+
+async function getActiveProfile() {
+  const { profiles, activeProfile } = await loadProfiles();
+  return { name: activeProfile, ...sanitizeProfile(activeProfile, profiles[activeProfile]) };
+}
+
+function exportProfiles(profiles, activeProfile) {
+  return JSON.stringify({
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    activeProfile,
+    profiles
+  }, null, 2);
+}
+
+// Parses and validates an exported profiles file; throws on the first invalid profile
+function parseProfileImport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Import file is not valid JSON');
+  }
+
+  if (!data || typeof data.profiles !== 'object' || Object.keys(data.profiles).length === 0) {
+    throw new Error('Import file contains no profiles');
+  }
+
+  const profiles = {};
+  for (const [name, fields] of Object.entries(data.profiles)) {
+    const profile = createProfile(fields);
+    const error = validateProfile(name, profile);
+    if (error) {
+      throw new Error(error);
+    }
+    profiles[name] = profile;
+  }
+
+  const activeProfile = profiles[data.activeProfile] ? data.activeProfile : Object.keys(profiles)[0];
+  return { profiles, activeProfile };
+}
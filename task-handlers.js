@@ -0,0 +1,360 @@
+// Task handler registry for the background service worker.
+// Each task type declares the parameters it accepts, how long it may run, the extension
+// permissions it needs and the shape of the result it produces. Only types whose
+// permissions are granted are advertised to the worker when leasing. Optional permissions
+// are requested the first time a task of the type runs.
+
+const DEFAULT_TASK_TIMEOUT_MS = 60 * 1000;
+
+// Readiness conditions every page-loading task accepts in paramsJson
+const READINESS_PARAMS = {
+  waitForSelector: { type: 'string' },
+  waitForDomQuietMs: { type: 'number' },
+  waitForNetworkIdleMs: { type: 'number' },
+  delayMs: { type: 'number' },
+  maxWaitMs: { type: 'number' }
+};
+
+// Optional permissions Chrome wouldn't prompt for (no user gesture in the service worker),
+// as { taskName: [permission, ...] }; the popup grants them from a click
+const PERMISSION_REQUESTS_KEY = 'permissionRequests';
+
+const taskHandlers = new Map();
+
+function registerTaskHandler(handler) {
+  if (!handler.name || typeof handler.run !== 'function') {
+    throw new Error('Task handler requires a name and a run function');
+  }
+
+  taskHandlers.set(handler.name, {
+    params: {},
+    timeoutMs: DEFAULT_TASK_TIMEOUT_MS,
+    permissions: [],
+    optionalPermissions: [],
+    result: {},
+    ...handler
+  });
+}
+
+function getTaskHandler(taskName) {
+  return taskHandlers.get(taskName) || null;
+}
+
+async function hasHandlerPermissions(handler) {
+  if (handler.permissions.length === 0) {
+    return true;
+  }
+  return chrome.permissions.contains({ permissions: handler.permissions });
+}
+
+// Task names this extension can run right now, sent to the worker with each lease request.
+// A type waiting for an optional permission isn't leased again until it is granted.
+async function getSupportedTaskTypes() {
+  const requests = await getPermissionRequests();
+  const supported = [];
+  for (const handler of taskHandlers.values()) {
+    if (!(await hasHandlerPermissions(handler))) {
+      continue;
+    }
+    if (requests[handler.name] && !(await chrome.permissions.contains({ permissions: requests[handler.name] }))) {
+      continue;
+    }
+    supported.push(handler.name);
+  }
+  return supported;
+}
+
+async function getPermissionRequests() {
+  const stored = await chrome.storage.local.get(PERMISSION_REQUESTS_KEY);
+  return stored[PERMISSION_REQUESTS_KEY] || {};
+}
+
+// Drops the requests that the granted permissions satisfy
+async function clearPermissionRequests(grantedPermissions) {
+  const requests = await getPermissionRequests();
+  for (const [taskName, permissions] of Object.entries(requests)) {
+    if (permissions.every(permission => grantedPermissions.includes(permission))) {
+      delete requests[taskName];
+    }
+  }
+  await chrome.storage.local.set({ [PERMISSION_REQUESTS_KEY]: requests });
+}
+
+// Asks for the handler's optional permissions if they aren't granted yet. Outside a user
+// gesture Chrome refuses to prompt, so the request is stored for the popup and the task
+// fails as blocked: the job goes back to the queue for another browser or a later attempt.
+async function requestHandlerPermissions(handler) {
+  const permissions = handler.optionalPermissions;
+  if (permissions.length === 0 || await chrome.permissions.contains({ permissions })) {
+    return;
+  }
+
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ permissions });
+  } catch (error) {
+    // "must be called during a user gesture"
+  }
+  if (granted) {
+    return;
+  }
+
+  const requests = await getPermissionRequests();
+  requests[handler.name] = permissions;
+  await chrome.storage.local.set({ [PERMISSION_REQUESTS_KEY]: requests });
+
+  const error = new Error(`${handler.name} needs the ${permissions.join(', ')} permission; grant it from the extension popup`);
+  error.category = 'blocked';
+  throw error;
+}
+
+// Checks values against a { key: { type, required, default, enum } } schema, filling defaults
+function applySchema(schema, values, label) {
+  const resolved = { ...values };
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = resolved[key];
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        throw new Error(`Missing required ${label}: ${key}`);
+      }
+      if (spec.default !== undefined) {
+        resolved[key] = spec.default;
+      }
+      continue;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== spec.type) {
+      throw new Error(`${label} ${key} must be of type ${spec.type}, got ${actualType}`);
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      throw new Error(`${label} ${key} must be one of: ${spec.enum.join(', ')}`);
+    }
+  }
+
+  return resolved;
+}
+
+// Checks an Extract Content field schema before it is sent into the page
+function validateExtractionFields(fields, path = 'fields') {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error(`${path} must be a non-empty object of field definitions`);
+  }
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = `${path}.${name}`;
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`${fieldPath} must be an object`);
+    }
+    if (spec.selector === undefined && !spec.fields) {
+      throw new Error(`${fieldPath} needs a selector or nested fields`);
+    }
+    if (spec.selector !== undefined && typeof spec.selector !== 'string') {
+      throw new Error(`${fieldPath}.selector must be a string`);
+    }
+    if (spec.selectorType !== undefined && !['css', 'xpath'].includes(spec.selectorType)) {
+      throw new Error(`${fieldPath}.selectorType must be css or xpath`);
+    }
+    if (spec.attribute !== undefined && typeof spec.attribute !== 'string') {
+      throw new Error(`${fieldPath}.attribute must be a string`);
+    }
+    if (spec.fields) {
+      validateExtractionFields(spec.fields, `${fieldPath}.fields`);
+    }
+  }
+}
+
+// Leased tasks carry the target URL separately from additionalParams (paramsJson).
+// paramDefaults only fill params the handler declares and the task leaves unset.
+function resolveTaskParams(handler, task, paramDefaults = {}) {
+  const defaults = Object.fromEntries(
+    Object.entries(paramDefaults).filter(([key, value]) => key in handler.params && value !== undefined)
+  );
+  const params = { URL: task.url, ...defaults, ...(task.additionalParams || {}) };
+  return applySchema(handler.params, params, 'parameter');
+}
+
+class TaskTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskTimeoutError';
+  }
+}
+
+class TaskCancelledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskCancelledError';
+  }
+}
+
+// Failure category reported to POST /fail: navigation_error, timeout, http_4xx, rate_limited,
+// http_5xx, blocked, captcha, auth_required or script_error. Errors thrown with a category keep it;
+// the rest count as navigation_error, which is retried. script_error dead-letters the job, so it is
+// only set where a task's own code is at fault.
+function classifyTaskError(error) {
+  if (error.category) {
+    return error.category;
+  }
+  if (error instanceof TaskTimeoutError) {
+    return 'timeout';
+  }
+  return 'navigation_error';
+}
+
+// Gives an error a failure category unless it already has one
+function withFailureCategory(error, category) {
+  if (!error.category) {
+    error.category = category;
+  }
+  return error;
+}
+
+// Running tasks by jobId: { jobId, taskName, url, controller, signal, tabIds, startedAt }
+const activeTasks = new Map();
+
+function cancelTask(jobId, reason) {
+  const context = activeTasks.get(jobId);
+  if (!context) {
+    return false;
+  }
+  context.controller.abort(new TaskCancelledError(`Task ${jobId} cancelled: ${reason}`));
+  return true;
+}
+
+// Rejects with the abort reason as soon as the signal fires, even if the promise never settles
+function abortable(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Runs the handler under its timeout (options.timeoutMs overrides the handler's). Tabs opened
+// through the task context are always closed; on timeout or cancellation the error carries
+// partialPage when the page had any.
+async function runTaskHandler(task, options = {}) {
+  const handler = getTaskHandler(task.taskName);
+  if (!handler) {
+    throw new Error(`Unknown task type: ${task.taskName}`);
+  }
+
+  if (!(await hasHandlerPermissions(handler))) {
+    throw new Error(`Missing permissions for ${task.taskName}: ${handler.permissions.join(', ')}`);
+  }
+  await requestHandlerPermissions(handler);
+
+  const params = resolveTaskParams(handler, task, options.paramDefaults);
+  const timeoutMs = options.timeoutMs || handler.timeoutMs;
+
+  const controller = new AbortController();
+  const context = {
+    jobId: task.jobId,
+    taskName: task.taskName,
+    url: task.url,
+    controller,
+    signal: controller.signal,
+    tabIds: new Set(),
+    startedAt: Date.now()
+  };
+  activeTasks.set(task.jobId, context);
+
+  const timeoutId = setTimeout(() => {
+    controller.abort(new TaskTimeoutError(`${task.taskName} timed out after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  try {
+    const result = await abortable(Promise.resolve().then(() => handler.run(params, context)), context.signal);
+    try {
+      return applySchema(handler.result, result || {}, 'result field');
+    } catch (error) {
+      throw withFailureCategory(error, 'script_error');
+    }
+
+  } catch (error) {
+    if (context.signal.aborted) {
+      error.partialPage = await capturePartialHTML(context);
+    }
+    throw error;
+
+  } finally {
+    clearTimeout(timeoutId);
+    activeTasks.delete(task.jobId);
+    await closeTaskTabs(context);
+  }
+}
+
+registerTaskHandler({
+  name: 'Get Page HTML',
+  params: {
+    URL: { type: 'string', required: true },
+    ...READINESS_PARAMS
+  },
+  timeoutMs: 2 * 60 * 1000,
+  permissions: ['scripting'],
+  result: {
+    htmlContent: { type: 'string', required: true },
+    charset: { type: 'string' },
+    readiness: { type: 'object' }
+  },
+  run: (params, context) => getPageHTML(params.URL, params, context)
+});
+
+registerTaskHandler({
+  name: 'Extract Content',
+  params: {
+    URL: { type: 'string', required: true },
+    fields: { type: 'object', required: true },
+    includeHtml: { type: 'boolean', default: false },
+    ...READINESS_PARAMS
+  },
+  timeoutMs: 2 * 60 * 1000,
+  permissions: ['scripting'],
+  result: {
+    extractedData: { type: 'object', required: true },
+    htmlContent: { type: 'string' },
+    charset: { type: 'string' },
+    readiness: { type: 'object' }
+  },
+  run: (params, context) => {
+    validateExtractionFields(params.fields);
+    return extractContent(params, context);
+  }
+});
+
+registerTaskHandler({
+  name: 'Capture Screenshot',
+  params: {
+    URL: { type: 'string', required: true },
+    mode: { type: 'string', default: 'viewport', enum: ['viewport', 'fullPage', 'element'] },
+    selector: { type: 'string' },
+    format: { type: 'string', default: 'png', enum: ['png', 'jpeg'] },
+    quality: { type: 'number', default: 80 },
+    includeHtml: { type: 'boolean', default: true },
+    ...READINESS_PARAMS
+  },
+  timeoutMs: 2 * 60 * 1000,
+  permissions: ['scripting'],
+  optionalPermissions: ['debugger'], // every mode captures through the DevTools protocol
+  result: {
+    screenshotBase64: { type: 'string', required: true },
+    screenshotContentType: { type: 'string', required: true },
+    htmlContent: { type: 'string' },
+    charset: { type: 'string' },
+    readiness: { type: 'object' }
+  },
+  run: (params, context) => {
+    if (params.mode === 'element' && !params.selector) {
+      throw new Error('selector is required for element screenshots');
+    }
+    return captureScreenshot(params, context);
+  }
+});
@@ -6,23 +6,41 @@
 
 import TestFramework from './test-framework.js';
 import TestWebhookService from './webhook-service.js';
-import { spawn } from 'child_process';
+import V2WorkflowTests from './test-v2-workflows.js';
+import { spawn, execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Applied to the v2 test database on top of d1-schema.sql
+const V2_TEST_CONFIG = [
+  // Short leases so the expiry sweep can be watched
+  "UPDATE system_config SET config_value = '8000' WHERE config_key = 'lease_duration_ms'",
+  // A category policy retrying a permanent category, for the retry policy tests
+  `UPDATE system_config SET config_value = '${JSON.stringify({
+    default: { strategy: 'backoff', baseDelayMs: 60000, maxDelayMs: 3600000 },
+    categories: { auth_required: { strategy: 'immediate' } }
+  })}' WHERE config_key = 'retry_policies'`
+];
+
 class TestRunner {
   constructor() {
     this.webhookService = null;
     this.workerProcess = null;
+    this.v2WorkerProcess = null;
+    this.v2PersistDir = null;
     this.config = {
       workerUrl: process.env.WORKER_URL || 'http://localhost:8787',
       webhookUrl: process.env.WEBHOOK_URL || 'http://localhost:3001',
+      v2WorkerUrl: process.env.V2_WORKER_URL || 'http://localhost:8789',
       testBrowserId: process.env.TEST_BROWSER_ID || `test-${Date.now()}`,
       skipWebhookService: process.env.SKIP_WEBHOOK_SERVICE === 'true',
-      skipWorkerStart: process.env.SKIP_WORKER_START === 'true'
+      skipWorkerStart: process.env.SKIP_WORKER_START === 'true',
+      skipV2Tests: process.env.SKIP_V2_TESTS === 'true'
     };
   }
 
@@ -89,12 +107,72 @@ class TestRunner {
     });
   }
 
+  /**
+   * Start the real worker (worker/index.ts, see wrangler-test.toml) on a fresh local
+   * database for the v2 workflow tests
+   */
+  async startV2Worker() {
+    const cwd = join(__dirname, '..');
+    this.v2PersistDir = mkdtempSync(join(tmpdir(), 'behalf-v2-test-'));
+    const d1Args = ['d1', 'execute', 'behalf-test', '--local', '--config', 'wrangler-test.toml', '--persist-to', this.v2PersistDir];
+
+    execFileSync('wrangler', [...d1Args, '--file', 'worker/d1-schema.sql'], { cwd, stdio: 'pipe', timeout: 120000 });
+    for (const statement of V2_TEST_CONFIG) {
+      execFileSync('wrangler', [...d1Args, '--command', statement], { cwd, stdio: 'pipe', timeout: 120000 });
+    }
+
+    return new Promise((resolve, reject) => {
+      const port = new URL(this.config.v2WorkerUrl).port;
+      this.v2WorkerProcess = spawn('wrangler', [
+        'dev', '--config', 'wrangler-test.toml', '--persist-to', this.v2PersistDir, '--port', port
+      ], {
+        cwd,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      this.v2WorkerProcess.stdout.on('data', (data) => {
+        const text = data.toString();
+        if (text.includes('Ready on') || text.includes('listening on')) {
+          console.log('   v2 worker output:', text.trim());
+          resolve();
+        }
+      });
+
+      this.v2WorkerProcess.stderr.on('data', (data) => {
+        console.log('   v2 worker stderr:', data.toString().trim());
+      });
+
+      this.v2WorkerProcess.on('error', (error) => {
+        console.error('❌ Failed to start v2 worker:', error);
+        reject(error);
+      });
+
+      setTimeout(() => {
+        if (this.v2WorkerProcess && !this.v2WorkerProcess.killed) {
+          console.log('⚠️  v2 worker start timeout - continuing anyway');
+          resolve();
+        }
+      }, 30000);
+    });
+  }
+
   async runTests() {
     console.log('🧪 Running comprehensive test suite...\n');
     
     const testFramework = new TestFramework(this.config);
     const results = await testFramework.runAllTests();
     
+    if (!this.config.skipV2Tests) {
+      if (!this.config.skipWorkerStart) {
+        console.log('\n⚡ Starting the real worker for the v2 workflow tests...');
+        await this.startV2Worker();
+        console.log('✅ v2 worker ready\n');
+      }
+      
+      const v2Tests = new V2WorkflowTests({ workerUrl: this.config.v2WorkerUrl });
+      results.push(...await v2Tests.runAllTests());
+    }
+    
     return results;
   }
 
@@ -106,6 +184,15 @@ class TestRunner {
       console.log('✅ Worker stopped');
     }
     
+    if (this.v2WorkerProcess) {
+      this.v2WorkerProcess.kill('SIGTERM');
+      console.log('✅ v2 worker stopped');
+    }
+    
+    if (this.v2PersistDir) {
+      rmSync(this.v2PersistDir, { recursive: true, force: true });
+    }
+    
     if (this.webhookService) {
       // The webhook service will be stopped when the process exits
       console.log('✅ Webhook service stopped');
@@ -123,6 +210,8 @@ class TestRunner {
       console.log(`   Test Browser ID: ${this.config.testBrowserId}`);
       console.log(`   Skip Webhook Service: ${this.config.skipWebhookService}`);
       console.log(`   Skip Worker Start: ${this.config.skipWorkerStart}`);
+      console.log(`   v2 Worker URL: ${this.config.v2WorkerUrl}`);
+      console.log(`   Skip v2 Tests: ${this.config.skipV2Tests}`);
       console.log('');
 
       await this.startServices();
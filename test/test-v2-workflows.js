@@ -0,0 +1,848 @@
+#!/usr/bin/env node
+/**
+ * v2 Workflow Tests
+ * Runs the browser and producer flows (leases, uploads, auth, pause/drain/cancel, failures and
+ * retries, lease expiry, routing) against the real worker (worker/index.ts on local D1, R2 and
+ * Durable Objects, see wrangler-test.toml). run-tests.js starts that worker; run alone, point
+ * V2_WORKER_URL at one started the same way.
+ */
+
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { gzipSync } from 'zlib';
+
+const sha256Hex = (content) => createHash('sha256').update(content).digest('hex');
+
+export class V2WorkflowTests {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      workerUrl: config.workerUrl || 'http://localhost:8789',
+      adminToken: config.adminToken || 'test-api-secret-key'
+    };
+
+    this.runId = Date.now();
+    this.results = [];
+  }
+
+  /**
+   * Test Suite: Lease, Heartbeat and Raw Submission
+   */
+  async testLeaseHeartbeatSubmit() {
+    console.log('\n🧪 Testing lease, heartbeat and raw submission...\n');
+
+    const browserId = this.browserId('submit');
+    const token = await this.registerBrowser(browserId);
+    const jobId = await this.createTask({ browserId });
+    const html = '<html><body><h1>Grüße from the raw submit test</h1></body></html>';
+    let lease;
+
+    await this.check('Lease Pinned Job', async () => {
+      const response = await this.request('POST', '/lease', { token, json: { browserId, max: 10 } });
+      expect(response.status).to.equal(200);
+      expect(response.data.heartbeatIntervalMs).to.be.a('number');
+
+      lease = response.data.items.find(item => item.jobId === jobId);
+      expect(lease, 'leased item for the job').to.exist;
+      expect(lease.leaseId).to.be.a('string');
+    });
+
+    await this.check('Heartbeat Extends Lease', async () => {
+      const response = await this.request('POST', '/heartbeat', {
+        token,
+        json: { jobId, leaseId: lease.leaseId }
+      });
+      expect(response.status).to.equal(200);
+      expect(response.data.heartbeatCount).to.equal(1);
+      expect(response.data.leaseUntil).to.be.at.least(lease.leaseUntil);
+    });
+
+    await this.check('Raw Submit Rejects sha256 Mismatch', async () => {
+      const response = await this.submitRaw(jobId, lease.leaseId, token, html, { sha256: sha256Hex('other') });
+      expect(response.status).to.equal(400);
+      expect(response.data.actual).to.equal(sha256Hex(html));
+    });
+
+    await this.check('Raw Submit Stores Decoded gzip Body', async () => {
+      const response = await this.submitRaw(jobId, lease.leaseId, token, html, { sha256: sha256Hex(html), gzip: true });
+      expect(response.status).to.equal(200);
+      expect(response.data.state).to.equal('fetched');
+      expect(response.data.contentHash).to.equal(sha256Hex(html));
+      expect(response.data.contentSize).to.equal(Buffer.byteLength(html));
+    });
+
+    await this.check('Resubmitting Fetched Job Rejected', async () => {
+      const response = await this.submitRaw(jobId, lease.leaseId, token, html);
+      expect(response.status).to.equal(400);
+      expect(response.data.error).to.equal('Invalid job or lease');
+    });
+
+    await this.check('Browser Job Shows Submitted Artifacts', async () => {
+      const response = await this.request('GET', `/browser-jobs/${jobId}`, { token });
+      expect(response.status).to.equal(200);
+      expect(response.data.state).to.equal('fetched');
+      expect(response.data.artifacts.raw_bytes).to.equal(Buffer.byteLength(html));
+    });
+  }
+
+  /**
+   * Test Suite: Chunked Uploads
+   */
+  async testChunkedUpload() {
+    console.log('\n🧪 Testing chunked uploads...\n');
+
+    const browserId = this.browserId('chunked');
+    const token = await this.registerBrowser(browserId);
+    const jobId = await this.createTask({ browserId });
+    const lease = await this.leaseJob(browserId, token, jobId);
+    const html = '<html><body>' + 'chunked upload '.repeat(1000) + '</body></html>';
+    let upload;
+
+    await this.check('Start Chunked Upload', async () => {
+      const response = await this.request('POST', '/uploads', {
+        token,
+        json: { jobId, leaseId: lease.leaseId, totalBytes: Buffer.byteLength(html) }
+      });
+      expect(response.status).to.equal(201);
+      expect(response.data.state).to.equal('open');
+      upload = response.data;
+    });
+
+    await this.check('Upload Part Rejects Checksum Mismatch', async () => {
+      const response = await this.request('PUT', `/uploads/${upload.uploadId}/parts/1`, {
+        token,
+        headers: { 'X-Part-Sha256': sha256Hex('other') },
+        body: html
+      });
+      expect(response.status).to.equal(400);
+    });
+
+    await this.check('Upload Part and List It for Resume', async () => {
+      const part = await this.request('PUT', `/uploads/${upload.uploadId}/parts/1`, {
+        token,
+        headers: { 'X-Part-Sha256': sha256Hex(html) },
+        body: html
+      });
+      expect(part.status).to.equal(200);
+
+      const response = await this.request('GET', `/uploads/${upload.uploadId}`, { token });
+      expect(response.status).to.equal(200);
+      expect(response.data.parts).to.deep.equal([{ partNumber: 1, sha256: sha256Hex(html), bytes: Buffer.byteLength(html) }]);
+    });
+
+    await this.check('Complete Upload and Submit It', async () => {
+      const complete = await this.request('POST', `/uploads/${upload.uploadId}/complete`, { token });
+      expect(complete.status).to.equal(200);
+      expect(complete.data.sha256).to.equal(sha256Hex(html));
+
+      const response = await this.request('POST', '/submit', {
+        token,
+        json: { jobId, leaseId: lease.leaseId, uploadId: upload.uploadId }
+      });
+      expect(response.status).to.equal(200);
+      expect(response.data.contentHash).to.equal(sha256Hex(html));
+      expect(response.data.contentSize).to.equal(Buffer.byteLength(html));
+    });
+
+    await this.check('Upload From an Earlier Lease Is Not Accepted', async () => {
+      const retriedJobId = await this.createTask({ browserId });
+      const firstLease = await this.leaseJob(browserId, token, retriedJobId);
+
+      const start = await this.request('POST', '/uploads', { token, json: { jobId: retriedJobId, leaseId: firstLease.leaseId } });
+      await this.request('PUT', `/uploads/${start.data.uploadId}/parts/1`, {
+        token,
+        headers: { 'X-Part-Sha256': sha256Hex(html) },
+        body: html
+      });
+      const complete = await this.request('POST', `/uploads/${start.data.uploadId}/complete`, { token });
+      expect(complete.status).to.equal(200);
+
+      // run-tests.js retries auth_required immediately, so the job can be leased again right away
+      await this.fail(retriedJobId, firstLease.leaseId, token, 'auth_required');
+      const secondLease = await this.leaseJob(browserId, token, retriedJobId);
+
+      const response = await this.request('POST', '/submit', {
+        token,
+        json: { jobId: retriedJobId, leaseId: secondLease.leaseId, uploadId: start.data.uploadId }
+      });
+      expect(response.status).to.equal(400);
+    });
+  }
+
+  /**
+   * Test Suite: Signed Upload URLs
+   */
+  async testSignedUpload() {
+    console.log('\n🧪 Testing signed upload URLs...\n');
+
+    const browserId = this.browserId('signed');
+    const token = await this.registerBrowser(browserId);
+    const jobId = await this.createTask({ browserId });
+    const lease = await this.leaseJob(browserId, token, jobId);
+    const html = '<html><body>signed upload</body></html>';
+    let upload;
+
+    await this.check('Issue Signed Upload URL', async () => {
+      const params = new URLSearchParams({ jobId, leaseId: lease.leaseId, size: String(Buffer.byteLength(html)) });
+      const response = await this.request('GET', `/upload-url?${params}`, { token });
+      expect(response.status).to.equal(200);
+      expect(response.data.r2Key).to.equal(`raw/${jobId}.html`);
+      expect(response.data.maxBytes).to.equal(Buffer.byteLength(html));
+      upload = response.data;
+    });
+
+    await this.check('Signed Upload Rejects Tampered Token', async () => {
+      const response = await fetch(`${upload.uploadUrl}x`, { method: 'PUT', headers: upload.headers, body: html });
+      expect(response.status).to.equal(403);
+    });
+
+    await this.check('Signed Upload Rejects Other Content-Type', async () => {
+      const response = await fetch(upload.uploadUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: html
+      });
+      expect(response.status).to.equal(415);
+    });
+
+    await this.check('Signed Upload Rejects Oversized Body', async () => {
+      const response = await fetch(upload.uploadUrl, { method: 'PUT', headers: upload.headers, body: `${html} ` });
+      expect(response.status).to.equal(413);
+    });
+
+    await this.check('Signed Upload and Submit r2Key', async () => {
+      const put = await fetch(upload.uploadUrl, { method: 'PUT', headers: upload.headers, body: html });
+      expect(put.status).to.equal(200);
+
+      const response = await this.request('POST', '/submit', {
+        token,
+        json: { jobId, leaseId: lease.leaseId, r2Key: upload.r2Key }
+      });
+      expect(response.status).to.equal(200);
+      expect(response.data.contentHash).to.equal(sha256Hex(html));
+      expect(response.data.contentSize).to.equal(Buffer.byteLength(html));
+    });
+
+    await this.check('Signed Upload URL Dies With the Lease', async () => {
+      const response = await fetch(upload.uploadUrl, { method: 'PUT', headers: upload.headers, body: html });
+      expect(response.status).to.equal(410);
+    });
+  }
+
+  /**
+   * Test Suite: Browser Registration and Tokens
+   */
+  async testBrowserAuth() {
+    console.log('\n🧪 Testing browser registration and tokens...\n');
+
+    const browserId = this.browserId('auth');
+    const otherBrowserId = this.browserId('auth-other');
+    let token = await this.registerBrowser(browserId);
+    const otherToken = await this.registerBrowser(otherBrowserId);
+    const jobId = await this.createTask({ browserId });
+    let lease;
+
+    await this.check('Lease Requires Valid Browser Token', async () => {
+      const missing = await this.request('POST', '/lease', { json: { browserId } });
+      expect(missing.status).to.equal(401);
+
+      const invalid = await this.request('POST', '/lease', { token: 'bt_not-a-token', json: { browserId } });
+      expect(invalid.status).to.equal(401);
+    });
+
+    await this.check('Lease Rejects Another Browser\'s Token', async () => {
+      const response = await this.request('POST', '/lease', { token: otherToken, json: { browserId } });
+      expect(response.status).to.equal(403);
+    });
+
+    await this.check('Job Routes Reject Another Browser\'s Token', async () => {
+      lease = await this.leaseJob(browserId, token, jobId);
+
+      const heartbeat = await this.request('POST', '/heartbeat', {
+        token: otherToken,
+        json: { jobId, leaseId: lease.leaseId }
+      });
+      expect(heartbeat.status).to.equal(403);
+
+      const submit = await this.submitRaw(jobId, lease.leaseId, otherToken, '<html></html>');
+      expect(submit.status).to.equal(403);
+
+      const details = await this.request('GET', `/browser-jobs/${jobId}`, { token: otherToken });
+      expect(details.status).to.equal(404);
+
+      const anonymous = await this.request('GET', `/browser-jobs/${jobId}`);
+      expect(anonymous.status).to.equal(401);
+    });
+
+    await this.check('Enrollment Code Is Single-Use and Bound to Its Browser', async () => {
+      const code = await this.request('POST', '/admin/enrollment-codes', {
+        token: this.config.adminToken,
+        json: { browserId: otherBrowserId }
+      });
+      expect(code.status).to.equal(201);
+
+      const wrongBrowser = await this.request('POST', '/register', {
+        json: { enrollmentCode: code.data.code, browserId }
+      });
+      expect(wrongBrowser.status).to.equal(403);
+
+      const first = await this.request('POST', '/register', {
+        json: { enrollmentCode: code.data.code, browserId: otherBrowserId }
+      });
+      expect(first.status).to.equal(201);
+
+      const reused = await this.request('POST', '/register', {
+        json: { enrollmentCode: code.data.code, browserId: otherBrowserId }
+      });
+      expect(reused.status).to.equal(403);
+    });
+
+    await this.check('Registering Again Replaces the Token', async () => {
+      const oldToken = token;
+      token = await this.registerBrowser(browserId);
+
+      const stale = await this.request('POST', '/heartbeat', { token: oldToken, json: { jobId, leaseId: lease.leaseId } });
+      expect(stale.status).to.equal(401);
+
+      const current = await this.request('POST', '/heartbeat', { token, json: { jobId, leaseId: lease.leaseId } });
+      expect(current.status).to.equal(200);
+    });
+
+    await this.check('Revoked Browser Loses Access', async () => {
+      const revoke = await this.request('DELETE', `/admin/browsers/${browserId}`, { token: this.config.adminToken });
+      expect(revoke.status).to.equal(200);
+
+      const response = await this.request('POST', '/lease', { token, json: { browserId } });
+      expect(response.status).to.equal(401);
+    });
+  }
+
+  /**
+   * Test Suite: Scoped API Tokens
+   */
+  async testApiTokenScopes() {
+    console.log('\n🧪 Testing scoped API tokens...\n');
+
+    const browserId = this.browserId('scopes');
+    const jobId = await this.createTask({ browserId });
+    let reader;
+    let writer;
+
+    await this.check('Producer Routes Require API Token', async () => {
+      const missing = await this.request('POST', '/tasks', { json: { browserId, taskName: 'Get Page HTML', url: 'https://example.com/' } });
+      expect(missing.status).to.equal(401);
+
+      const invalid = await this.request('GET', `/status/${jobId}`, { token: 'at_not-a-token' });
+      expect(invalid.status).to.equal(401);
+    });
+
+    await this.check('Mint API Tokens', async () => {
+      const unknownScope = await this.request('POST', '/admin/tokens', {
+        token: this.config.adminToken,
+        json: { owner: 'v2-tests', permissions: ['tasks:delete'] }
+      });
+      expect(unknownScope.status).to.equal(400);
+
+      reader = await this.mintApiToken(['tasks:read']);
+      writer = await this.mintApiToken(['tasks:write']);
+    });
+
+    await this.check('Token Scopes Limit Routes', async () => {
+      const read = await this.request('GET', `/status/${jobId}`, { token: reader.token });
+      expect(read.status).to.equal(200);
+
+      const readerWrite = await this.request('POST', '/tasks', {
+        token: reader.token,
+        json: { browserId, taskName: 'Get Page HTML', url: 'https://example.com/' }
+      });
+      expect(readerWrite.status).to.equal(403);
+      expect(readerWrite.data.requiredScope).to.equal('tasks:write');
+
+      const write = await this.request('POST', '/tasks', {
+        token: writer.token,
+        json: { browserId, taskName: 'Get Page HTML', url: 'https://example.com/' }
+      });
+      expect(write.status).to.equal(201);
+
+      const writerStats = await this.request('GET', '/stats', { token: writer.token });
+      expect(writerStats.status).to.equal(403);
+
+      const writerAdmin = await this.request('GET', '/admin/tokens', { token: writer.token });
+      expect(writerAdmin.status).to.equal(403);
+    });
+
+    await this.check('Revoked API Token Is Rejected', async () => {
+      const list = await this.request('GET', '/admin/tokens', { token: this.config.adminToken });
+      expect(list.data.tokens.map(apiToken => apiToken.tokenId)).to.include(reader.tokenId);
+
+      const revoke = await this.request('DELETE', `/admin/tokens/${reader.tokenId}`, { token: this.config.adminToken });
+      expect(revoke.status).to.equal(200);
+
+      const response = await this.request('GET', `/status/${jobId}`, { token: reader.token });
+      expect(response.status).to.equal(401);
+    });
+  }
+
+  /**
+   * Test Suite: Pause, Drain and Cancel
+   */
+  async testPauseDrainCancel() {
+    console.log('\n🧪 Testing pause, drain and cancel...\n');
+
+    const browserId = this.browserId('control');
+    const token = await this.registerBrowser(browserId);
+    const admin = { token: this.config.adminToken };
+
+    await this.check('Cancel Queued Job', async () => {
+      const jobId = await this.createTask({ browserId });
+
+      const response = await this.request('DELETE', `/tasks/${jobId}`, admin);
+      expect(response.status).to.equal(200);
+      expect(response.data).to.include({ state: 'cancelled', previousState: 'queued' });
+
+      const lease = await this.request('POST', '/lease', { token, json: { browserId, max: 10 } });
+      expect(lease.data.items.map(item => item.jobId)).to.not.include(jobId);
+
+      const again = await this.request('DELETE', `/tasks/${jobId}`, admin);
+      expect(again.status).to.equal(409);
+    });
+
+    await this.check('Cancel Leased Job Ends Its Lease', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+
+      const response = await this.request('DELETE', `/tasks/${jobId}`, admin);
+      expect(response.status).to.equal(200);
+      expect(response.data.previousState).to.equal('leased');
+
+      const heartbeat = await this.request('POST', '/heartbeat', { token, json: { jobId, leaseId: lease.leaseId } });
+      expect(heartbeat.status).to.equal(410);
+      expect(heartbeat.data.cancelled).to.equal(true);
+
+      const submit = await this.submitRaw(jobId, lease.leaseId, token, '<html></html>');
+      expect(submit.status).to.equal(400);
+      expect((await this.getStatus(jobId)).state).to.equal('cancelled');
+    });
+
+    const runningJobId = await this.createTask({ browserId });
+    const runningLease = await this.leaseJob(browserId, token, runningJobId);
+    const waitingJobId = await this.createTask({ browserId });
+    let waitingLease;
+
+    await this.check('Drain Stops New Leases but Running Tasks Finish', async () => {
+      const drain = await this.request('POST', `/admin/browsers/${browserId}/drain`, admin);
+      expect(drain.status).to.equal(200);
+      expect(drain.data.config).to.include({ draining: true, paused: false });
+
+      const lease = await this.request('POST', '/lease', { token, json: { browserId, max: 10 } });
+      expect(lease.data.count).to.equal(0);
+      expect(lease.data.config.draining).to.equal(true);
+
+      const config = await this.request('GET', `/browser-config?browserId=${browserId}`, { token });
+      expect(config.data.config).to.include({ draining: true, paused: false });
+
+      const submit = await this.submitRaw(runningJobId, runningLease.leaseId, token, '<html>drained</html>');
+      expect(submit.status).to.equal(200);
+    });
+
+    await this.check('Resume Clears Drain', async () => {
+      const resume = await this.request('POST', `/admin/browsers/${browserId}/resume`, admin);
+      expect(resume.status).to.equal(200);
+      expect(resume.data.config).to.include({ draining: false, paused: false });
+
+      waitingLease = await this.leaseJob(browserId, token, waitingJobId);
+    });
+
+    await this.check('Pause Revokes Leases and Requeues Jobs', async () => {
+      await this.request('POST', `/admin/browsers/${browserId}/drain`, admin);
+
+      const pause = await this.request('POST', `/admin/browsers/${browserId}/pause`, admin);
+      expect(pause.status).to.equal(200);
+      expect(pause.data.revoked.map(lease => lease.jobId)).to.include(waitingJobId);
+      expect((await this.getStatus(waitingJobId)).state).to.equal('queued');
+
+      const config = await this.request('GET', `/browser-config?browserId=${browserId}`, { token });
+      expect(config.data.config).to.include({ paused: true, draining: false });
+
+      const heartbeat = await this.request('POST', '/heartbeat', { token, json: { jobId: waitingJobId, leaseId: waitingLease.leaseId } });
+      expect(heartbeat.status).to.not.equal(200);
+
+      const lease = await this.request('POST', '/lease', { token, json: { browserId, max: 10 } });
+      expect(lease.data.count).to.equal(0);
+    });
+
+    await this.check('Config Update Cannot Pause or Drain', async () => {
+      const response = await this.request('PUT', `/admin/browsers/${browserId}/config`, {
+        ...admin,
+        json: { paused: false, concurrency: 2 }
+      });
+      expect(response.status).to.equal(400);
+
+      const config = await this.request('GET', `/browser-config?browserId=${browserId}`, { token });
+      expect(config.data.config).to.include({ paused: true, concurrency: null });
+    });
+
+    await this.check('Resume After Pause Leases Requeued Job', async () => {
+      await this.request('POST', `/admin/browsers/${browserId}/resume`, admin);
+
+      const lease = await this.leaseJob(browserId, token, waitingJobId);
+      expect(lease.leaseId).to.not.equal(waitingLease.leaseId);
+
+      const submit = await this.submitRaw(waitingJobId, lease.leaseId, token, '<html>resumed</html>');
+      expect(submit.status).to.equal(200);
+    });
+  }
+
+  /**
+   * Test Suite: Failure Reporting
+   */
+  async testFailureReporting() {
+    console.log('\n🧪 Testing failure reporting...\n');
+
+    const browserId = this.browserId('fail');
+    const token = await this.registerBrowser(browserId);
+
+    await this.check('Fail Rejects Unknown Category and Stale Lease', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+
+      const unknown = await this.fail(jobId, lease.leaseId, token, 'flaky');
+      expect(unknown.status).to.equal(400);
+
+      const stale = await this.fail(jobId, 'L_not-the-lease', token, 'timeout');
+      expect(stale.status).to.equal(400);
+      expect((await this.getStatus(jobId)).state).to.equal('leased');
+    });
+
+    await this.check('Transient Failure Backs Off and Keeps Partial Page', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+      const partial = '<html><body>half a page</body></html>';
+
+      const response = await this.fail(jobId, lease.leaseId, token, 'timeout', {
+        message: 'Page load timed out',
+        partial: { htmlBase64: Buffer.from(partial).toString('base64') }
+      });
+      expect(response.status).to.equal(200);
+      expect(response.data).to.include({ state: 'queued', retry: true, attempts: 1 });
+      expect(response.data.retryAt).to.be.above(Date.now());
+      expect(response.data.partial.bytes).to.equal(Buffer.byteLength(partial));
+
+      const relet = await this.request('POST', '/lease', { token, json: { browserId, max: 10 } });
+      expect(relet.data.items.map(item => item.jobId)).to.not.include(jobId);
+
+      const details = await this.request('GET', `/browser-jobs/${jobId}`, { token });
+      expect(details.data.artifacts.capture_meta.failure).to.deep.equal({ category: 'timeout', message: 'Page load timed out' });
+    });
+
+    await this.check('Permanent Failure Dead-Letters the Job', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+
+      const response = await this.fail(jobId, lease.leaseId, token, 'http_4xx', { message: 'HTTP 404' });
+      expect(response.status).to.equal(200);
+      expect(response.data).to.include({ state: 'failed', retry: false });
+
+      const status = await this.getStatus(jobId);
+      expect(status.state).to.equal('failed');
+      expect(status.error_message).to.equal('http_4xx: HTTP 404');
+    });
+  }
+
+  /**
+   * Test Suite: Retry Policies
+   * run-tests.js seeds a policy retrying auth_required immediately, with max_retries at 3
+   */
+  async testRetryPolicies() {
+    console.log('\n🧪 Testing retry policies...\n');
+
+    const browserId = this.browserId('retry');
+    const token = await this.registerBrowser(browserId);
+
+    await this.check('Rate-Limited Failure Is Retried', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+
+      const response = await this.fail(jobId, lease.leaseId, token, 'rate_limited', { message: 'HTTP 429' });
+      expect(response.status).to.equal(200);
+      expect(response.data).to.include({ state: 'queued', retry: true });
+      expect(response.data.retryAt).to.be.above(Date.now());
+    });
+
+    await this.check('Uncategorized Failure Is Retried', async () => {
+      const jobId = await this.createTask({ browserId });
+      const lease = await this.leaseJob(browserId, token, jobId);
+
+      const response = await this.request('POST', '/fail', {
+        token,
+        json: { jobId, leaseId: lease.leaseId, message: 'Cannot access contents of the page' }
+      });
+      expect(response.status).to.equal(200);
+      expect(response.data).to.include({ category: 'navigation_error', state: 'queued', retry: true });
+      expect((await this.getStatus(jobId)).state).to.equal('queued');
+    });
+
+    await this.check('Category Policy Retries a Permanent Category Until max_retries', async () => {
+      const jobId = await this.createTask({ browserId });
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const lease = await this.leaseJob(browserId, token, jobId);
+        const response = await this.fail(jobId, lease.leaseId, token, 'auth_required');
+        expect(response.data, `attempt ${attempt}`).to.include({ state: 'queued', retry: true, attempts: attempt });
+      }
+
+      const lease = await this.leaseJob(browserId, token, jobId);
+      const response = await this.fail(jobId, lease.leaseId, token, 'auth_required');
+      expect(response.data).to.include({ state: 'failed', retry: false, attempts: 4 });
+      expect((await this.getStatus(jobId)).state).to.equal('failed');
+    });
+  }
+
+  /**
+   * Test Suite: Lease Expiry Sweep
+   * run-tests.js shortens leases to 8 seconds; only GET /status is called while waiting,
+   * so nothing but the TaskQueue alarm can expire the lease
+   */
+  async testLeaseExpirySweep() {
+    console.log('\n🧪 Testing alarm-driven lease expiry...\n');
+
+    const browserId = this.browserId('expiry');
+    const token = await this.registerBrowser(browserId);
+    const jobId = await this.createTask({ browserId });
+    const lease = await this.leaseJob(browserId, token, jobId);
+
+    await this.check('Alarm Requeues Job After Lease Expires', async () => {
+      const deadline = lease.leaseUntil + 30000;
+      let status = await this.getStatus(jobId);
+
+      while (status.state === 'leased' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        status = await this.getStatus(jobId);
+      }
+
+      expect(status.state).to.equal('queued');
+      expect(status.attempts).to.equal(1);
+      expect(status.error_message).to.match(/^lease_expired: /);
+    });
+
+    await this.check('Expired Lease Is No Longer Accepted', async () => {
+      const heartbeat = await this.request('POST', '/heartbeat', { token, json: { jobId, leaseId: lease.leaseId } });
+      expect(heartbeat.status).to.not.equal(200);
+
+      const submit = await this.submitRaw(jobId, lease.leaseId, token, '<html>late</html>');
+      expect(submit.status).to.equal(400);
+    });
+  }
+
+  /**
+   * Test Suite: Pool and Tag Routing
+   */
+  async testPoolAndTagRouting() {
+    console.log('\n🧪 Testing pool and tag routing...\n');
+
+    const pool = `v2-pool-${this.runId}`;
+    const tag = `v2-tag-${this.runId}`;
+    const outsiderId = this.browserId('outsider');
+    const untaggedId = this.browserId('untagged');
+    const memberId = this.browserId('member');
+    const outsiderToken = await this.registerBrowser(outsiderId);
+    const untaggedToken = await this.registerBrowser(untaggedId);
+    const memberToken = await this.registerBrowser(memberId);
+
+    const leasedJobIds = async (browserId, token, options) => {
+      const response = await this.request('POST', '/lease', { token, json: { browserId, max: 10, ...options } });
+      expect(response.status).to.equal(200);
+      return response.data.items.map(item => item.jobId);
+    };
+
+    await this.check('Task Requires a Browser, Pool or Tags', async () => {
+      const response = await this.request('POST', '/tasks', {
+        token: this.config.adminToken,
+        json: { taskName: 'Get Page HTML', url: 'https://example.com/' }
+      });
+      expect(response.status).to.equal(400);
+    });
+
+    await this.check('Pool Job Goes to a Pool Member With Its Tags', async () => {
+      const jobId = await this.createTask({ pool, requiredTags: [tag] });
+
+      expect(await leasedJobIds(outsiderId, outsiderToken, { pool: `${pool}-other`, tags: [tag] })).to.not.include(jobId);
+      expect(await leasedJobIds(untaggedId, untaggedToken, { pool })).to.not.include(jobId);
+
+      const lease = await this.leaseJob(memberId, memberToken, jobId, { pool, tags: [tag, 'region=eu'] });
+      expect((await this.getStatus(jobId)).leased_by).to.equal(memberId);
+
+      const submit = await this.submitRaw(jobId, lease.leaseId, memberToken, '<html>pooled</html>');
+      expect(submit.status).to.equal(200);
+
+      const details = await this.request('GET', `/browser-jobs/${jobId}`, { token: memberToken });
+      expect(details.status).to.equal(200);
+      const hidden = await this.request('GET', `/browser-jobs/${jobId}`, { token: outsiderToken });
+      expect(hidden.status).to.equal(404);
+    });
+
+    await this.check('Tagged Job Without a Pool Goes to Any Browser With the Tags', async () => {
+      const jobId = await this.createTask({ requiredTags: [tag] });
+
+      expect(await leasedJobIds(untaggedId, untaggedToken, { pool })).to.not.include(jobId);
+
+      const lease = await this.leaseJob(outsiderId, outsiderToken, jobId, { pool: `${pool}-other`, tags: [tag] });
+      const submit = await this.submitRaw(jobId, lease.leaseId, outsiderToken, '<html>tagged</html>');
+      expect(submit.status).to.equal(200);
+    });
+  }
+
+  /**
+   * Helpers
+   */
+
+  browserId(name) {
+    return `v2-${name}-${this.runId}`;
+  }
+
+  async request(method, path, { token, json, body, headers = {} } = {}) {
+    const response = await fetch(`${this.config.workerUrl}${path}`, {
+      method,
+      headers: {
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: json !== undefined ? JSON.stringify(json) : body
+    });
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not every response is JSON
+    }
+
+    return { status: response.status, data };
+  }
+
+  async check(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      this.results.push({ test: name, status: 'PASSED' });
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      this.results.push({ test: name, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async registerBrowser(browserId) {
+    const code = await this.request('POST', '/admin/enrollment-codes', {
+      token: this.config.adminToken,
+      json: { browserId }
+    });
+    expect(code.status, 'enrollment code').to.equal(201);
+
+    const registration = await this.request('POST', '/register', {
+      json: { enrollmentCode: code.data.code, browserId }
+    });
+    expect(registration.status, 'registration').to.equal(201);
+
+    return registration.data.token;
+  }
+
+  async mintApiToken(permissions) {
+    const response = await this.request('POST', '/admin/tokens', {
+      token: this.config.adminToken,
+      json: { owner: 'v2-tests', permissions }
+    });
+    expect(response.status, 'mint API token').to.equal(201);
+
+    return response.data;
+  }
+
+  async createTask(task) {
+    const response = await this.request('POST', '/tasks', {
+      token: this.config.adminToken,
+      json: { taskName: 'Get Page HTML', url: 'https://example.com/', contentType: 'test-v2', ...task }
+    });
+    expect(response.status, 'create task').to.equal(201);
+
+    return response.data.jobId;
+  }
+
+  async leaseJob(browserId, token, jobId, options = {}) {
+    const response = await this.request('POST', '/lease', { token, json: { browserId, max: 10, ...options } });
+    expect(response.status, 'lease').to.equal(200);
+
+    const lease = response.data.items.find(item => item.jobId === jobId);
+    expect(lease, `lease for ${jobId}`).to.exist;
+    return lease;
+  }
+
+  async fail(jobId, leaseId, token, category, details = {}) {
+    return this.request('POST', '/fail', { token, json: { jobId, leaseId, category, ...details } });
+  }
+
+  async getStatus(jobId) {
+    const response = await this.request('GET', `/status/${jobId}`, { token: this.config.adminToken });
+    expect(response.status, 'status').to.equal(200);
+
+    return response.data;
+  }
+
+  async submitRaw(jobId, leaseId, token, html, { sha256, gzip = false } = {}) {
+    const params = new URLSearchParams({ jobId, leaseId, ...(sha256 ? { sha256 } : {}) });
+
+    return this.request('POST', `/submit/raw?${params}`, {
+      token,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        ...(gzip ? { 'Content-Encoding': 'gzip' } : {})
+      },
+      body: gzip ? gzipSync(html) : html
+    });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Running v2 workflow tests against', this.config.workerUrl);
+
+    const suites = [
+      ['Lease, Heartbeat and Raw Submission', () => this.testLeaseHeartbeatSubmit()],
+      ['Chunked Uploads', () => this.testChunkedUpload()],
+      ['Signed Upload URLs', () => this.testSignedUpload()],
+      ['Browser Registration and Tokens', () => this.testBrowserAuth()],
+      ['Scoped API Tokens', () => this.testApiTokenScopes()],
+      ['Pause, Drain and Cancel', () => this.testPauseDrainCancel()],
+      ['Failure Reporting', () => this.testFailureReporting()],
+      ['Retry Policies', () => this.testRetryPolicies()],
+      ['Lease Expiry Sweep', () => this.testLeaseExpirySweep()],
+      ['Pool and Tag Routing', () => this.testPoolAndTagRouting()]
+    ];
+
+    for (const [name, suite] of suites) {
+      try {
+        await suite();
+      } catch (error) {
+        console.error(`❌ ${name} setup failed: ${error.message}`);
+        this.results.push({ test: name, status: 'FAILED', error: error.message });
+      }
+    }
+
+    const failed = this.results.filter(r => r.status === 'FAILED');
+    console.log(`\n📊 v2 workflows: ${this.results.length - failed.length} passed, ${failed.length} failed`);
+    failed.forEach(r => console.log(`   - ${r.test}: ${r.error}`));
+
+    return this.results;
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const tests = new V2WorkflowTests({ workerUrl: process.env.V2_WORKER_URL });
+  tests.runAllTests().then(results => {
+    process.exit(results.some(r => r.status === 'FAILED') ? 1 : 0);
+  }).catch(error => {
+    console.error('💥 Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+export default V2WorkflowTests;
@@ -4,12 +4,16 @@
 -- Jobs lifecycle table
 CREATE TABLE jobs (
   job_id TEXT PRIMARY KEY,
-  browser_id TEXT NOT NULL,
+  browser_id TEXT,                   -- pins the job to one browser; NULL lets any matching browser lease it
+  pool TEXT,                         -- only browsers in this pool may lease it
+  required_tags TEXT,                -- JSON array; the leasing browser must advertise all of them
+  leased_by TEXT,                    -- browser holding (or that last held) the lease
   task_name TEXT NOT NULL,           -- e.g. "Get Page HTML"
   url TEXT NOT NULL,
   content_type TEXT,                 -- formerly tableName (e.g. "resumes")
-  state TEXT NOT NULL,               -- queued|leased|fetched|parsed|delivered|failed
+  state TEXT NOT NULL,               -- queued|leased|fetched|parsed|delivered|failed|cancelled (failed = dead letter)
   priority INTEGER DEFAULT 0,
+  params_json TEXT,                  -- optional task parameters (paramsJson)
   attempts INTEGER DEFAULT 0,
   lease_id TEXT,
   lease_until INTEGER,               -- epoch ms
@@ -30,11 +34,46 @@ CREATE TABLE artifacts (
   parsed_r2_key TEXT,                -- if/when a parser writes back
   parsed_sha256 TEXT,
   parsed_bytes INTEGER,
+  screenshot_r2_key TEXT,            -- e.g. screenshots/j_abcd.png
+  screenshot_sha256 TEXT,
+  screenshot_bytes INTEGER,
+  screenshot_content_type TEXT,      -- image/png or image/jpeg
+  capture_meta TEXT,                 -- JSON: readiness conditions met, wait time
   created_at INTEGER NOT NULL,
   updated_at INTEGER NOT NULL,
   FOREIGN KEY (job_id) REFERENCES jobs(job_id)
 );
 
+-- Resumable chunked uploads backed by R2 multipart uploads
+CREATE TABLE upload_sessions (
+  upload_id TEXT PRIMARY KEY,
+  job_id TEXT NOT NULL,
+  lease_id TEXT NOT NULL,            -- lease the upload was started under
+  r2_key TEXT NOT NULL,              -- e.g. raw/j_abcd.html
+  r2_upload_id TEXT NOT NULL,        -- R2 multipart upload ID
+  content_type TEXT NOT NULL,
+  original_charset TEXT,
+  part_size INTEGER NOT NULL,        -- every part but the last must be exactly this size
+  state TEXT NOT NULL,               -- open|completed|aborted
+  sha256 TEXT,                       -- of the assembled object, set on completion
+  bytes INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (job_id) REFERENCES jobs(job_id)
+);
+
+-- Parts acknowledged for each upload session
+CREATE TABLE upload_parts (
+  upload_id TEXT NOT NULL,
+  part_number INTEGER NOT NULL,      -- 1-based
+  etag TEXT NOT NULL,                -- returned by R2, needed to complete the upload
+  sha256 TEXT NOT NULL,
+  bytes INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (upload_id, part_number),
+  FOREIGN KEY (upload_id) REFERENCES upload_sessions(upload_id)
+);
+
 -- Webhook delivery tracking (idempotency & audit)
 CREATE TABLE callbacks (
   delivery_id TEXT PRIMARY KEY,      -- UUID
@@ -55,7 +94,7 @@ CREATE TABLE job_retries (
   retry_id TEXT PRIMARY KEY,
   job_id TEXT NOT NULL,
   retry_attempt INTEGER NOT NULL,
-  error_type TEXT NOT NULL,          -- lease_expired, fetch_failed, webhook_failed
+  error_type TEXT NOT NULL,          -- lease_expired, webhook_failed, or a POST /fail category
   error_details TEXT,
   retry_at INTEGER NOT NULL,         -- when to retry
   created_at INTEGER NOT NULL,
@@ -84,9 +123,9 @@ CREATE TABLE system_config (
 -- API tokens for authentication
 CREATE TABLE api_tokens (
   token_id TEXT PRIMARY KEY,
-  token_hash TEXT NOT NULL,          -- bcrypt hash
+  token_hash TEXT NOT NULL,          -- SHA-256 of the token issued by POST /admin/tokens
   owner TEXT NOT NULL,               -- service/user identifier
-  permissions TEXT NOT NULL,         -- JSON array of allowed operations
+  permissions TEXT NOT NULL,         -- JSON array of scopes: tasks:write, tasks:read, artifacts:read, stats:read, admin
   expires_at INTEGER,
   created_at INTEGER NOT NULL,
   last_used INTEGER
@@ -95,13 +134,31 @@ CREATE TABLE api_tokens (
 -- Browser authentication
 CREATE TABLE browser_auth (
   browser_id TEXT PRIMARY KEY,
-  auth_token_hash TEXT NOT NULL,
+  auth_token_hash TEXT NOT NULL,     -- SHA-256 of the token issued by POST /register
   tenant_id TEXT,                    -- multi-tenant support
   permissions TEXT,                  -- JSON permissions
   last_seen INTEGER,
   created_at INTEGER NOT NULL
 );
 
+-- Per-browser overrides of the fleet-wide browser config in system_config
+CREATE TABLE browser_settings (
+  browser_id TEXT PRIMARY KEY,
+  config_json TEXT NOT NULL,         -- JSON object: paused, draining, pollIntervalMs, concurrency, enabledTaskTypes
+  updated_at INTEGER NOT NULL
+);
+
+-- One-time enrollment codes, exchanged for a browser token by POST /register
+CREATE TABLE enrollment_codes (
+  code_hash TEXT PRIMARY KEY,        -- SHA-256 of the code
+  browser_id TEXT,                   -- optional; restricts the code to one browser
+  tenant_id TEXT,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  used_by TEXT,                      -- browser_id that redeemed the code
+  created_at INTEGER NOT NULL
+);
+
 -- System health tracking
 CREATE TABLE system_health (
   check_id TEXT PRIMARY KEY,
@@ -124,12 +181,15 @@ CREATE TABLE retention_policies (
 -- Indexes for performance
 CREATE INDEX jobs_state_idx ON jobs(state, priority, created_at);
 CREATE INDEX jobs_browser_idx ON jobs(browser_id, state, created_at);
+CREATE INDEX jobs_pool_idx ON jobs(pool, state, created_at) WHERE browser_id IS NULL;
 CREATE INDEX jobs_lease_idx ON jobs(lease_until) WHERE state = 'leased';
 CREATE INDEX jobs_url_idx ON jobs(url, content_type);
 
 CREATE INDEX artifacts_sha256_idx ON artifacts(raw_sha256);
 CREATE INDEX artifacts_content_type_idx ON artifacts(raw_content_type);
 
+CREATE INDEX upload_sessions_job_idx ON upload_sessions(job_id, state);
+
 CREATE INDEX callbacks_job_phase_idx ON callbacks(job_id, phase);
 CREATE INDEX callbacks_delivery_status_idx ON callbacks(status_code, attempts);
 
@@ -138,7 +198,9 @@ CREATE INDEX job_retries_schedule_idx ON job_retries(retry_at, error_type);
 CREATE INDEX job_metrics_name_time_idx ON job_metrics(metric_name, recorded_at);
 
 CREATE INDEX api_tokens_owner_idx ON api_tokens(owner);
+CREATE UNIQUE INDEX api_tokens_hash_idx ON api_tokens(token_hash);
 CREATE INDEX browser_auth_tenant_idx ON browser_auth(tenant_id) WHERE tenant_id IS NOT NULL;
+CREATE UNIQUE INDEX browser_auth_token_idx ON browser_auth(auth_token_hash);
 
 -- Insert default configuration
 INSERT INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
@@ -146,7 +208,17 @@ INSERT INTO system_config (config_key, config_value, config_type, description, u
 ('max_retries', '3', 'number', 'Max retry attempts per job', strftime('%s', 'now') * 1000),
 ('webhook_timeout_ms', '30000', 'number', 'Webhook request timeout', strftime('%s', 'now') * 1000),
 ('max_content_size_bytes', '10485760', 'number', 'Max content size (10MB)', strftime('%s', 'now') * 1000),
-('heartbeat_interval_ms', '300000', 'number', 'Heartbeat interval (5 min)', strftime('%s', 'now') * 1000);
+('heartbeat_interval_ms', '300000', 'number', 'Heartbeat interval (5 min)', strftime('%s', 'now') * 1000),
+('idle_poll_interval_ms', '60000', 'number', 'nextPollMs returned by /lease when the queue is empty (1 min)', strftime('%s', 'now') * 1000),
+('upload_part_size_bytes', '8388608', 'number', 'Chunked upload part size (8MB, R2 minimum is 5MB)', strftime('%s', 'now') * 1000),
+('max_upload_size_bytes', '524288000', 'number', 'Max chunked upload size (500MB)', strftime('%s', 'now') * 1000),
+('upload_token_ttl_ms', '900000', 'number', 'Signed upload URL lifetime (15 min)', strftime('%s', 'now') * 1000),
+('require_browser_auth', 'true', 'boolean', 'Reject browser requests without a registered browser token', strftime('%s', 'now') * 1000),
+('browsers_paused', 'false', 'boolean', 'Stop leasing to every browser', strftime('%s', 'now') * 1000),
+('browser_poll_interval_ms', 'null', 'json', 'Longest poll interval for browsers; null leaves it to each profile', strftime('%s', 'now') * 1000),
+('browser_concurrency', 'null', 'json', 'Parallel tasks per browser; null leaves it to each profile', strftime('%s', 'now') * 1000),
+('enabled_task_types', 'null', 'json', 'JSON array of task names browsers may lease; null allows all', strftime('%s', 'now') * 1000),
+('retry_policies', '{"default":{"strategy":"backoff","baseDelayMs":60000,"maxDelayMs":3600000}}', 'json', 'Retry strategy (immediate|backoff|none) by default, categories, contentTypes and taskTypes', strftime('%s', 'now') * 1000);
 
 -- Insert default retention policies
 INSERT INTO retention_policies (policy_id, content_type, raw_retention_days, parsed_retention_days, archive_to_cold_storage, created_at) VALUES
@@ -5,6 +5,9 @@
 
 import { generateLeaseId, getCurrentTimestamp, getFutureTimestamp } from './utils/ids';
 
+// Delay before sweeping again after a failed alarm
+const ALARM_RETRY_DELAY_MS = 60 * 1000;
+
 export interface TaskLease {
   jobId: string;
   leaseId: string;
@@ -95,7 +98,7 @@ export class TaskQueue {
       
       // If lease is expired, clean it up
       if (getCurrentTimestamp() > existingLease.leaseUntil) {
-        await this.releaseLease(jobId);
+        await this.expireLease(existingLease);
       } else {
         // Job is currently leased
         return new Response(JSON.stringify({ 
@@ -175,7 +178,8 @@ export class TaskQueue {
 
     // Check if lease is expired
     if (getCurrentTimestamp() > lease.leaseUntil) {
-      await this.releaseLease(jobId);
+      await this.expireLease(lease);
+      await this.saveState();
       return new Response(JSON.stringify({ 
         error: 'Lease expired' 
       }), { 
@@ -293,35 +297,67 @@ export class TaskQueue {
   }
 
   /**
-   * Save state to durable storage
+   * Save state to durable storage and move the sweep alarm to the earliest lease expiry
    */
   private async saveState(): Promise<void> {
     await this.state.storage.put('leases', Array.from(this.leases.entries()));
+
+    if (this.leases.size === 0) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+
+    const nextExpiry = Math.min(...Array.from(this.leases.values(), lease => lease.leaseUntil));
+    if (await this.state.storage.getAlarm() !== nextExpiry) {
+      await this.state.storage.setAlarm(nextExpiry);
+    }
+  }
+
+  /**
+   * Alarm handler: sweeps leases that have expired by now
+   */
+  async alarm(): Promise<void> {
+    try {
+      await this.cleanupExpiredLeases();
+    } catch (error) {
+      console.error('TaskQueue alarm error:', error);
+      await this.state.storage.setAlarm(Date.now() + ALARM_RETRY_DELAY_MS);
+    }
   }
 
   /**
-   * Cleanup expired leases (called periodically)
+   * Cleanup expired leases (called by the sweep alarm)
    */
   async cleanupExpiredLeases(): Promise<void> {
     const now = getCurrentTimestamp();
-    const expiredJobs: string[] = [];
-
-    // Find expired leases
-    for (const [jobId, lease] of this.leases) {
-      if (now > lease.leaseUntil) {
-        expiredJobs.push(jobId);
-      }
-    }
+    const expiredLeases = Array.from(this.leases.values()).filter(lease => now > lease.leaseUntil);
 
-    if (expiredJobs.length === 0) return;
+    if (expiredLeases.length === 0) return;
 
-    console.log(`🧹 Cleaning up ${expiredJobs.length} expired leases`);
+    console.log(`🧹 Cleaning up ${expiredLeases.length} expired leases`);
 
-    // Release expired leases
-    for (const jobId of expiredJobs) {
-      await this.releaseLease(jobId);
+    for (const lease of expiredLeases) {
+      await this.expireLease(lease);
     }
 
     await this.saveState();
   }
+
+  /**
+   * Requeue an expired lease's job in D1 (when bound) and release the lease
+   */
+  private async expireLease(lease: TaskLease): Promise<void> {
+    if (this.env.DB) {
+      await this.env.DB.prepare(`
+        UPDATE jobs 
+        SET state = 'queued', lease_id = NULL, lease_until = NULL, 
+            attempts = attempts + 1, updated_at = ?
+        WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+      `).bind(getCurrentTimestamp(), lease.jobId, lease.leaseId).run();
+    }
+
+    console.log(`⌛ Lease ${lease.leaseId} for job ${lease.jobId} expired (browser: ${lease.browserId})`);
+
+    await this.releaseLease(lease.jobId);
+  }
 }
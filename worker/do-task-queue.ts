@@ -1,10 +1,19 @@
 /**
  * TaskQueue Durable Object
- * Manages task leasing, heartbeats, and lease expiration
+ * Manages task leasing, heartbeats, and lease expiration, and holds the browsers'
+ * push connections (hibernatable WebSockets tagged with the browser ID)
  */
 
 import { generateLeaseId, getCurrentTimestamp, getFutureTimestamp, isTimestampExpired } from './utils/ids';
 import { createSuccessResponse, createErrorResponse } from './utils/http';
+import { getSystemConfig } from './utils/config';
+import { recordJobFailure } from './utils/retry-policy';
+
+// Subprotocol browsers request on /connect; the DO confirms it in the 101 response
+export const TASK_SOCKET_PROTOCOL = 'behalf-tasks';
+
+// Delay before sweeping again after a failed alarm
+const ALARM_RETRY_DELAY_MS = 60 * 1000;
 
 export interface TaskLease {
   jobId: string;
@@ -41,9 +50,8 @@ export class TaskQueue {
       }
     });
 
-    // Set up periodic cleanup of expired leases
-    // Note: setAlarm is not available in the current DurableObjectState interface
-    // this.state.setAlarm(Date.now() + 60000); // Check every minute
+    // Keepalive pings are answered without waking the DO from hibernation
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
   }
 
   async fetch(request: Request): Promise<Response> {
@@ -58,8 +66,14 @@ export class TaskQueue {
           return await this.handleHeartbeat(request);
         case '/release':
           return await this.handleRelease(request);
+        case '/revoke':
+          return await this.handleRevoke(request);
         case '/status':
           return await this.handleStatus(request);
+        case '/connect':
+          return this.handleConnect(request);
+        case '/notify':
+          return await this.handleNotify(request);
         default:
           return createErrorResponse('Not Found', 404);
       }
@@ -74,7 +88,7 @@ export class TaskQueue {
    */
   async handleLease(request: Request): Promise<Response> {
     const body = await request.json() as any;
-    const { browserId, maxItems = 1 } = body;
+    const { browserId, maxItems = 1, taskTypes, pool = null, tags = [] } = body;
 
     if (!browserId) {
       return createErrorResponse('browserId is required', 400);
@@ -83,12 +97,14 @@ export class TaskQueue {
     // Clean up expired leases first
     await this.cleanupExpiredLeases();
 
+    const config = await getSystemConfig(this.env.DB);
+
     // Find available tasks for this browser
-    const availableTasks = await this.findAvailableTasks(browserId, maxItems);
+    const availableTasks = await this.findAvailableTasks(browserId, maxItems, taskTypes, pool, tags);
     const leasedTasks = [];
 
     for (const task of availableTasks) {
-      const lease = await this.createLease(task, browserId);
+      const lease = await this.createLease(task, browserId, config.lease_duration_ms);
       if (lease) {
         leasedTasks.push({
           jobId: task.job_id,
@@ -105,10 +121,14 @@ export class TaskQueue {
     // Save state
     await this.saveState();
 
+    // Tell the browser how often to heartbeat its leases, and when to poll again:
+    // right away if it got everything it asked for (more may be waiting)
     return createSuccessResponse({
       items: leasedTasks,
       count: leasedTasks.length,
-      browserId
+      browserId,
+      heartbeatIntervalMs: config.heartbeat_interval_ms,
+      nextPollMs: leasedTasks.length < maxItems ? config.idle_poll_interval_ms : 0
     });
   }
 
@@ -129,14 +149,16 @@ export class TaskQueue {
     }
 
     if (isTimestampExpired(lease.leaseUntil)) {
-      // Lease already expired
-      await this.releaseLease(jobId);
+      // Lease already expired; the sweep alarm may not have run yet
+      await this.expireLease(lease);
+      await this.saveState();
       return createErrorResponse('Lease expired', 410);
     }
 
+    const config = await getSystemConfig(this.env.DB);
+
     // Extend lease
-    const leaseDurationMs = 30 * 60 * 1000; // 30 minutes
-    lease.leaseUntil = getFutureTimestamp(leaseDurationMs);
+    lease.leaseUntil = getFutureTimestamp(config.lease_duration_ms);
     lease.heartbeatCount++;
 
     // Update in D1
@@ -153,7 +175,8 @@ export class TaskQueue {
       jobId,
       leaseId,
       leaseUntil: lease.leaseUntil,
-      heartbeatCount: lease.heartbeatCount
+      heartbeatCount: lease.heartbeatCount,
+      heartbeatIntervalMs: config.heartbeat_interval_ms
     });
   }
 
@@ -183,6 +206,49 @@ export class TaskQueue {
     });
   }
 
+  /**
+   * Revoke leases before they expire: one job's (cancelled; D1 is updated by the caller)
+   * or all of a browser's (paused; those jobs go back to the queue)
+   */
+  async handleRevoke(request: Request): Promise<Response> {
+    const body = await request.json() as any;
+    const { jobId, browserId } = body;
+
+    if (!jobId && !browserId) {
+      return createErrorResponse('jobId or browserId is required', 400);
+    }
+
+    const revoked: TaskLease[] = [];
+
+    if (jobId) {
+      const lease = this.leases.get(jobId);
+      if (lease) {
+        revoked.push(lease);
+        await this.releaseLease(jobId);
+      }
+    } else {
+      const now = getCurrentTimestamp();
+      for (const leasedJobId of Array.from(this.browserLeases.get(browserId) || [])) {
+        const lease = this.leases.get(leasedJobId)!;
+
+        await this.env.DB.prepare(`
+          UPDATE jobs 
+          SET state = 'queued', lease_id = NULL, lease_until = NULL, updated_at = ?
+          WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+        `).bind(now, leasedJobId, lease.leaseId).run();
+
+        revoked.push(lease);
+        await this.releaseLease(leasedJobId);
+      }
+    }
+
+    await this.saveState();
+
+    return createSuccessResponse({
+      revoked: revoked.map(lease => ({ jobId: lease.jobId, leaseId: lease.leaseId, browserId: lease.browserId }))
+    });
+  }
+
   /**
    * Handle status request
    */
@@ -193,6 +259,7 @@ export class TaskQueue {
     const status: any = {
       totalLeases: this.leases.size,
       browsers: this.browserLeases.size,
+      connections: this.state.getWebSockets().length,
       leases: Array.from(this.leases.values()),
       timestamp: getCurrentTimestamp()
     };
@@ -200,43 +267,137 @@ export class TaskQueue {
     if (browserId) {
       const browserJobs = this.browserLeases.get(browserId) || new Set();
       status['browserLeases'] = Array.from(browserJobs).map(jobId => this.leases.get(jobId)).filter(Boolean);
+      status['browserConnections'] = this.state.getWebSockets(browserId).length;
     }
 
     return createSuccessResponse(status);
   }
 
   /**
-   * Find available tasks in D1
+   * Accept a browser's push connection. The socket is hibernatable, so an idle
+   * connection doesn't keep the DO in memory.
+   */
+  handleConnect(request: Request): Response {
+    const url = new URL(request.url);
+    const browserId = url.searchParams.get('browserId');
+    const pool = url.searchParams.get('pool');
+
+    if (!browserId) {
+      return createErrorResponse('browserId is required', 400);
+    }
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return createErrorResponse('Expected a WebSocket upgrade', 426);
+    }
+
+    const [client, server] = Object.values(new WebSocketPair());
+    // Tagged with the browser ID first, then its pool for jobs routed to the pool
+    this.state.acceptWebSocket(server, pool ? [browserId, `pool:${pool}`] : [browserId]);
+
+    console.log(`🔌 Browser ${browserId} connected (${this.state.getWebSockets(browserId).length} connections)`);
+
+    return new Response(null, {
+      status: 101,
+      webSocket: client,
+      headers: { 'Sec-WebSocket-Protocol': TASK_SOCKET_PROTOCOL }
+    });
+  }
+
+  /**
+   * Send a message (work_available, config_changed, ...) to a browser's open connections,
+   * to a pool's, or with neither given to every connection
    */
-  async findAvailableTasks(browserId: string, maxItems: number): Promise<any[]> {
+  async handleNotify(request: Request): Promise<Response> {
+    const body = await request.json() as any;
+    const { browserId, pool, message } = body;
+
+    if (!message) {
+      return createErrorResponse('message is required', 400);
+    }
+
+    const tag = browserId || (pool ? `pool:${pool}` : undefined);
+    const delivered = this.pushToSockets(tag, message);
+
+    return createSuccessResponse({ browserId, pool, type: message.type, delivered });
+  }
+
+  /**
+   * Messages from browsers; only keepalive pings are expected and those are auto-answered
+   */
+  async webSocketMessage(ws: WebSocket, message: string | ArrayBuffer): Promise<void> {
+    const [browserId] = this.state.getTags(ws);
+    console.warn(`Ignoring unexpected message from browser ${browserId}`);
+  }
+
+  async webSocketClose(ws: WebSocket, code: number, reason: string): Promise<void> {
+    const [browserId] = this.state.getTags(ws);
+    console.log(`🔌 Browser ${browserId} disconnected (${code}${reason ? `: ${reason}` : ''})`);
+    try {
+      ws.close(1000, 'Closing');
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  /**
+   * Find available tasks in D1 for a browser: jobs pinned to it, and unpinned jobs whose
+   * pool matches the browser's and whose required tags it all advertises. Limited to the
+   * task types the browser supports; jobs waiting out a retry backoff
+   * (job_retries.retry_at in the future) are skipped.
+   */
+  async findAvailableTasks(
+    browserId: string,
+    maxItems: number,
+    taskTypes?: string[],
+    pool: string | null = null,
+    tags: string[] = []
+  ): Promise<any[]> {
+    const params: any[] = [browserId, pool];
+    let taskTypeClause = '';
+
+    // json_each over NULL yields no rows, so jobs without required tags always match
+    const tagClause = tags.length > 0
+      ? `SELECT 1 FROM json_each(jobs.required_tags) WHERE json_each.value NOT IN (${tags.map(() => '?').join(', ')})`
+      : 'SELECT 1 FROM json_each(jobs.required_tags)';
+    params.push(...tags);
+
+    if (taskTypes && taskTypes.length > 0) {
+      taskTypeClause = ` AND task_name IN (${taskTypes.map(() => '?').join(', ')})`;
+      params.push(...taskTypes);
+    }
+
     const stmt = this.env.DB.prepare(`
       SELECT job_id, browser_id, task_name, url, content_type, priority, created_at, params_json
       FROM jobs 
-      WHERE browser_id = ? AND state = 'queued'
+      WHERE state = 'queued'
+        AND (browser_id = ? OR browser_id IS NULL)
+        AND (pool IS NULL OR pool = ?)
+        AND NOT EXISTS (${tagClause})${taskTypeClause}
+        AND NOT EXISTS (
+          SELECT 1 FROM job_retries WHERE job_retries.job_id = jobs.job_id AND job_retries.retry_at > ?
+        )
       ORDER BY priority DESC, created_at ASC
       LIMIT ?
     `);
 
-    const result = await stmt.bind(browserId, maxItems).all();
+    const result = await stmt.bind(...params, getCurrentTimestamp(), maxItems).all();
     return result.results || [];
   }
 
   /**
    * Create a lease for a task
    */
-  async createLease(task: any, browserId: string): Promise<TaskLease | null> {
+  async createLease(task: any, browserId: string, leaseDurationMs: number): Promise<TaskLease | null> {
     const jobId = task.job_id;
     const leaseId = generateLeaseId();
     const now = getCurrentTimestamp();
-    const leaseDurationMs = 30 * 60 * 1000; // 30 minutes
     const leaseUntil = getFutureTimestamp(leaseDurationMs);
 
     // Update job state in D1
     const updateResult = await this.env.DB.prepare(`
       UPDATE jobs 
-      SET state = 'leased', lease_id = ?, lease_until = ?, updated_at = ?
+      SET state = 'leased', lease_id = ?, lease_until = ?, leased_by = ?, updated_at = ?
       WHERE job_id = ? AND state = 'queued'
-    `).bind(leaseId, leaseUntil, now, jobId).run();
+    `).bind(leaseId, leaseUntil, browserId, now, jobId).run();
 
     if (!updateResult.success || updateResult.changes === 0) {
       // Task was already leased by someone else
@@ -289,59 +450,122 @@ export class TaskQueue {
   }
 
   /**
-   * Clean up expired leases
+   * Clean up expired leases. Each expiry counts as a failed attempt, so the retry policy
+   * decides whether the job is requeued (possibly after a backoff) or dead-lettered.
+   * Jobs D1 still shows as leased past their lease_until without a lease here (e.g. leased
+   * before the DO lost its storage) are expired the same way.
    */
   async cleanupExpiredLeases(): Promise<void> {
-    const now = getCurrentTimestamp();
-    const expiredJobs: string[] = [];
-
-    // Find expired leases
-    for (const [jobId, lease] of this.leases) {
-      if (isTimestampExpired(lease.leaseUntil)) {
-        expiredJobs.push(jobId);
+    const expiredLeases = Array.from(this.leases.values()).filter(lease => isTimestampExpired(lease.leaseUntil));
+
+    const orphaned = await this.env.DB.prepare(`
+      SELECT job_id, COALESCE(leased_by, browser_id) AS browser_id, lease_id, lease_until FROM jobs
+      WHERE state = 'leased' AND lease_until < ?
+    `).bind(getCurrentTimestamp()).all();
+
+    for (const job of (orphaned.results || []) as any[]) {
+      if (!this.leases.has(job.job_id)) {
+        expiredLeases.push({
+          jobId: job.job_id,
+          leaseId: job.lease_id,
+          browserId: job.browser_id,
+          leaseUntil: job.lease_until,
+          heartbeatCount: 0,
+          createdAt: job.lease_until
+        });
       }
     }
 
-    if (expiredJobs.length === 0) return;
+    if (expiredLeases.length === 0) return;
 
-    console.log(`🧹 Cleaning up ${expiredJobs.length} expired leases`);
+    console.log(`🧹 Cleaning up ${expiredLeases.length} expired leases`);
 
-    // Update jobs back to queued state in D1
-    for (const jobId of expiredJobs) {
-      await this.env.DB.prepare(`
-        UPDATE jobs 
-        SET state = 'queued', lease_id = NULL, lease_until = NULL, 
-            attempts = attempts + 1, updated_at = ?
-        WHERE job_id = ?
-      `).bind(now, jobId).run();
+    for (const lease of expiredLeases) {
+      await this.expireLease(lease);
+    }
+  }
 
-      // Release from memory
-      await this.releaseLease(jobId);
+  /**
+   * Hand an expired lease's job to the retry policy, tell the browser and release the lease
+   */
+  async expireLease(lease: TaskLease): Promise<void> {
+    // Jobs submitted, failed or cancelled since are left alone
+    const job = await this.env.DB.prepare(`
+      SELECT job_id, task_name, content_type, attempts, callback_url, callback_secret_id
+      FROM jobs
+      WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+    `).bind(lease.jobId, lease.leaseId).first();
+
+    if (job) {
+      const decision = await recordJobFailure(this.env, job, {
+        leaseId: lease.leaseId,
+        errorType: 'lease_expired',
+        message: `Lease ${lease.leaseId} expired (browser ${lease.browserId})`
+      });
+
+      // A browser that is still running the task stops it; nothing it submits would be accepted
+      this.pushToSockets(lease.browserId, {
+        type: 'lease_expired',
+        jobId: lease.jobId,
+        leaseId: lease.leaseId,
+        state: decision?.state
+      });
     }
+
+    await this.releaseLease(lease.jobId);
   }
 
   /**
-   * Save state to durable storage
+   * Send a message to the connections with a tag (a browser ID or pool:<pool>), or to all
+   * connections without one; returns how many received it
+   */
+  pushToSockets(tag: string | undefined, message: { type: string; [key: string]: any }): number {
+    const payload = JSON.stringify(message);
+    let delivered = 0;
+
+    for (const socket of this.state.getWebSockets(tag)) {
+      try {
+        socket.send(payload);
+        delivered++;
+      } catch (error) {
+        const [browserId] = this.state.getTags(socket);
+        console.warn(`Could not push to browser ${browserId}:`, error);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Save state to durable storage and move the sweep alarm to the earliest lease expiry,
+   * so jobs of a browser that stopped heartbeating are requeued even if nobody leases
    */
   async saveState(): Promise<void> {
     await this.state.storage.put('leases', Array.from(this.leases.entries()));
+
+    if (this.leases.size === 0) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+
+    const nextExpiry = Math.min(...Array.from(this.leases.values(), lease => lease.leaseUntil));
+    if (await this.state.storage.getAlarm() !== nextExpiry) {
+      await this.state.storage.setAlarm(nextExpiry);
+    }
   }
 
   /**
-   * Alarm handler for periodic cleanup
+   * Alarm handler: sweeps leases that have expired by now
    */
   async alarm(): Promise<void> {
     try {
       await this.cleanupExpiredLeases();
       await this.saveState();
       
-      // Set next alarm
-      // await this.state.setAlarm(Date.now() + 60000); // Check again in 1 minute
-      
     } catch (error) {
       console.error('TaskQueue alarm error:', error);
-      // Still set next alarm even if this one failed
-      // await this.state.setAlarm(Date.now() + 60000);
+      // Sweep again shortly rather than leaving the jobs leased
+      await this.state.storage.setAlarm(Date.now() + ALARM_RETRY_DELAY_MS);
     }
   }
 }
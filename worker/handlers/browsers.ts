@@ -0,0 +1,341 @@
+/**
+ * Browser Registration Handlers
+ * Admins issue one-time enrollment codes (admin scope); browsers exchange them for their own auth token.
+ * Admins also set per-browser overrides of the config returned by /lease, and pause, drain or resume browsers.
+ */
+
+import { Env } from '../index';
+import { createSuccessResponse, createErrorResponse, validateJsonBody } from '../utils/http';
+import { generateEnrollmentCode, generateBrowserToken, getCurrentTimestamp } from '../utils/ids';
+import { validateBrowserId } from '../utils/validation';
+import { hashSecret } from '../utils/auth';
+import { getBrowserConfig, validateBrowserConfigOverrides } from '../utils/browser-config';
+import { pushToBrowser } from './index';
+
+const DEFAULT_ENROLLMENT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_ENROLLMENT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Create Enrollment Code - POST /admin/enrollment-codes
+ * The code is returned once and only its hash is stored
+ */
+export async function handleCreateEnrollmentCode(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await validateJsonBody(request);
+
+    if (body.browserId !== undefined) {
+      const validation = validateBrowserId(body.browserId);
+      if (!validation.valid) {
+        return createErrorResponse(validation.error!, 400);
+      }
+    }
+
+    const expiresInMs = body.expiresInMs ?? DEFAULT_ENROLLMENT_TTL_MS;
+    if (!Number.isInteger(expiresInMs) || expiresInMs <= 0 || expiresInMs > MAX_ENROLLMENT_TTL_MS) {
+      return createErrorResponse(`expiresInMs must be between 1 and ${MAX_ENROLLMENT_TTL_MS}`, 400);
+    }
+
+    const code = generateEnrollmentCode();
+    const now = getCurrentTimestamp();
+    const expiresAt = now + expiresInMs;
+
+    await env.DB.prepare(`
+      INSERT INTO enrollment_codes (code_hash, browser_id, tenant_id, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(
+      await hashSecret(code),
+      body.browserId || null,
+      body.tenantId || null,
+      expiresAt,
+      now
+    ).run();
+
+    console.log(`🔑 Issued enrollment code${body.browserId ? ` for browser ${body.browserId}` : ''}`);
+
+    return createSuccessResponse({
+      code,
+      browserId: body.browserId || null,
+      tenantId: body.tenantId || null,
+      expiresAt
+    }, 201);
+
+  } catch (error) {
+    console.error('Create enrollment code error:', error);
+    return createErrorResponse('Failed to create enrollment code', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Register Browser - POST /register
+ * Redeems an enrollment code for a browser token. Registering again with a new code
+ * replaces the browser's previous token.
+ */
+export async function handleRegisterBrowser(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await validateJsonBody(request, ['enrollmentCode', 'browserId']);
+
+    const validation = validateBrowserId(body.browserId);
+    if (!validation.valid) {
+      return createErrorResponse(validation.error!, 400);
+    }
+
+    const codeHash = await hashSecret(normalizeEnrollmentCode(String(body.enrollmentCode)));
+    const now = getCurrentTimestamp();
+
+    const enrollment = await env.DB.prepare(`
+      SELECT browser_id, tenant_id FROM enrollment_codes
+      WHERE code_hash = ? AND used_at IS NULL AND expires_at > ?
+    `).bind(codeHash, now).first();
+
+    if (!enrollment) {
+      return createErrorResponse('Invalid, used or expired enrollment code', 403);
+    }
+    if (enrollment.browser_id && enrollment.browser_id !== body.browserId) {
+      return createErrorResponse(`Enrollment code is not valid for browser ${body.browserId}`, 403);
+    }
+
+    // Claim the code first so two concurrent registrations can't both redeem it
+    const claim = await env.DB.prepare(`
+      UPDATE enrollment_codes SET used_at = ?, used_by = ?
+      WHERE code_hash = ? AND used_at IS NULL
+    `).bind(now, body.browserId, codeHash).run();
+
+    if (!claim.meta.changes) {
+      return createErrorResponse('Invalid, used or expired enrollment code', 403);
+    }
+
+    const token = generateBrowserToken();
+
+    await env.DB.prepare(`
+      INSERT INTO browser_auth (browser_id, auth_token_hash, tenant_id, last_seen, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(browser_id) DO UPDATE SET
+        auth_token_hash = excluded.auth_token_hash,
+        tenant_id = excluded.tenant_id,
+        last_seen = excluded.last_seen
+    `).bind(body.browserId, await hashSecret(token), enrollment.tenant_id || null, now, now).run();
+
+    console.log(`🔑 Registered browser ${body.browserId}`);
+
+    return createSuccessResponse({
+      browserId: body.browserId,
+      tenantId: enrollment.tenant_id || null,
+      token
+    }, 201);
+
+  } catch (error) {
+    console.error('Register browser error:', error);
+    return createErrorResponse('Failed to register browser', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Revoke Browser - DELETE /admin/browsers/:browserId
+ * The browser must register again with a new enrollment code
+ */
+export async function handleRevokeBrowser(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const browserId = url.pathname.split('/').pop();
+
+    const result = await env.DB.prepare(`
+      DELETE FROM browser_auth WHERE browser_id = ?
+    `).bind(browserId).run();
+
+    if (!result.meta.changes) {
+      return createErrorResponse('Browser not registered', 404);
+    }
+
+    console.log(`🔑 Revoked token for browser ${browserId}`);
+
+    return createSuccessResponse({
+      browserId,
+      revoked: true
+    });
+
+  } catch (error) {
+    console.error('Revoke browser error:', error);
+    return createErrorResponse('Failed to revoke browser', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Get Browser Settings - GET /admin/browsers/:browserId/config
+ * Returns the browser's overrides and the effective config it receives
+ */
+export async function handleGetBrowserSettings(request: Request, env: Env): Promise<Response> {
+  try {
+    const browserId = getBrowserIdFromPath(request);
+
+    return createSuccessResponse({
+      browserId,
+      overrides: await loadBrowserOverrides(env, browserId),
+      config: await getBrowserConfig(env.DB, browserId)
+    });
+
+  } catch (error) {
+    console.error('Get browser config error:', error);
+    return createErrorResponse('Failed to load browser config', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Update Browser Settings - PUT /admin/browsers/:browserId/config
+ * Merges the given overrides (null clears one back to the fleet value) and pushes
+ * config_changed to the browser's open connections
+ */
+export async function handleUpdateBrowserSettings(request: Request, env: Env): Promise<Response> {
+  try {
+    const browserId = getBrowserIdFromPath(request);
+    const body = await validateJsonBody(request);
+
+    const validation = validateBrowserConfigOverrides(body);
+    if (!validation.valid) {
+      return createErrorResponse(validation.error!, 400);
+    }
+
+    const overrides = await updateBrowserOverrides(env, browserId, body);
+
+    return createSuccessResponse({
+      browserId,
+      overrides,
+      config: await getBrowserConfig(env.DB, browserId)
+    });
+
+  } catch (error) {
+    console.error('Update browser config error:', error);
+    return createErrorResponse('Failed to update browser config', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Drain Browser - POST /admin/browsers/:browserId/drain
+ * Stops new leases; tasks already running finish and submit normally.
+ * Recorded as draining rather than paused so the two can be told apart.
+ */
+export async function handleDrainBrowser(request: Request, env: Env): Promise<Response> {
+  try {
+    const browserId = getBrowserIdFromPath(request);
+    await updateBrowserOverrides(env, browserId, { draining: true });
+
+    console.log(`⏸️ Draining browser ${browserId}`);
+
+    return createSuccessResponse({
+      browserId,
+      draining: true,
+      config: await getBrowserConfig(env.DB, browserId)
+    });
+
+  } catch (error) {
+    console.error('Drain browser error:', error);
+    return createErrorResponse('Failed to drain browser', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Pause Browser - POST /admin/browsers/:browserId/pause
+ * Stops new leases and revokes the browser's current ones; those jobs go back to the
+ * queue and the browser aborts them
+ */
+export async function handlePauseBrowser(request: Request, env: Env): Promise<Response> {
+  try {
+    const browserId = getBrowserIdFromPath(request);
+    // Pausing a draining browser replaces the drain
+    await updateBrowserOverrides(env, browserId, { paused: true, draining: null });
+
+    const taskQueueId = env.TaskQueue.idFromName('global');
+    const taskQueue = env.TaskQueue.get(taskQueueId);
+
+    const revokeResponse = await taskQueue.fetch('https://taskqueue.internal/revoke', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ browserId })
+    });
+    const { revoked } = await revokeResponse.json() as any;
+
+    for (const lease of revoked) {
+      await pushToBrowser(env, browserId, { type: 'lease_revoked', jobId: lease.jobId, reason: 'paused' });
+    }
+
+    console.log(`⏸️ Paused browser ${browserId}, requeued ${revoked.length} job(s)`);
+
+    return createSuccessResponse({ browserId, paused: true, revoked });
+
+  } catch (error) {
+    console.error('Pause browser error:', error);
+    return createErrorResponse('Failed to pause browser', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Resume Browser - POST /admin/browsers/:browserId/resume
+ * Clears a pause or drain; the fleet-wide browsers_paused setting still applies
+ */
+export async function handleResumeBrowser(request: Request, env: Env): Promise<Response> {
+  try {
+    const browserId = getBrowserIdFromPath(request);
+    await updateBrowserOverrides(env, browserId, { paused: null, draining: null });
+
+    console.log(`▶️ Resumed browser ${browserId}`);
+
+    return createSuccessResponse({
+      browserId,
+      config: await getBrowserConfig(env.DB, browserId)
+    });
+
+  } catch (error) {
+    console.error('Resume browser error:', error);
+    return createErrorResponse('Failed to resume browser', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Merge overrides into browser_settings (null removes one) and push config_changed
+ */
+async function updateBrowserOverrides(env: Env, browserId: string, changes: Record<string, any>): Promise<Record<string, any>> {
+  const overrides: Record<string, any> = { ...(await loadBrowserOverrides(env, browserId)), ...changes };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete overrides[key];
+    }
+  }
+
+  if (Object.keys(overrides).length === 0) {
+    await env.DB.prepare(`
+      DELETE FROM browser_settings WHERE browser_id = ?
+    `).bind(browserId).run();
+  } else {
+    await env.DB.prepare(`
+      INSERT INTO browser_settings (browser_id, config_json, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(browser_id) DO UPDATE SET
+        config_json = excluded.config_json,
+        updated_at = excluded.updated_at
+    `).bind(browserId, JSON.stringify(overrides), getCurrentTimestamp()).run();
+  }
+
+  console.log(`⚙️ Updated config for browser ${browserId}: ${JSON.stringify(overrides)}`);
+
+  await pushToBrowser(env, browserId, { type: 'config_changed' });
+
+  return overrides;
+}
+
+async function loadBrowserOverrides(env: Env, browserId: string): Promise<Record<string, any>> {
+  const settings = await env.DB.prepare(`
+    SELECT config_json FROM browser_settings WHERE browser_id = ?
+  `).bind(browserId).first();
+
+  return settings ? JSON.parse(settings.config_json as string) : {};
+}
+
+// /admin/browsers/:browserId/<action>
+function getBrowserIdFromPath(request: Request): string {
+  return new URL(request.url).pathname.split('/')[3];
+}
+
+// Codes are shown grouped and uppercase, but accept them as typed
+function normalizeEnrollmentCode(code: string): string {
+  const chars = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.match(/.{1,4}/g)?.join('-') || '';
+}
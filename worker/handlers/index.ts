@@ -5,8 +5,16 @@
 
 import { Env } from '../index';
 import { createSuccessResponse, createErrorResponse, validateJsonBody } from '../utils/http';
-import { generateJobId, generateLeaseId, getCurrentTimestamp } from '../utils/ids';
-import { validateContentType, sanitizeContentType } from '../utils/validation';
+import { generateJobId, generateLeaseId, generateR2Key, getCurrentTimestamp } from '../utils/ids';
+import { validateContentType, sanitizeContentType, validateBrowserId, validateTaskTypes, validateTaskParams, validatePool, validateTags } from '../utils/validation';
+import { decodeBase64, readDecodedBody, getCharset, SUPPORTED_CONTENT_ENCODINGS, ContentTooLargeError } from '../utils/encoding';
+import { getSystemConfig } from '../utils/config';
+import { createUploadToken } from '../utils/upload-tokens';
+import { authenticateBrowser, authorizeBrowser, authorizeJobBrowser } from '../utils/auth';
+import { getBrowserConfig, resolveLeaseTaskTypes } from '../utils/browser-config';
+import { DEFAULT_FAILURE_CATEGORY, validateFailureCategory } from '../utils/failures';
+import { recordJobFailure } from '../utils/retry-policy';
+import { TASK_SOCKET_PROTOCOL } from '../do-task-queue';
 
 /**
  * Health Check - GET /health
@@ -54,15 +62,21 @@ export async function handleHealth(request: Request, env: Env): Promise<Response
 
 /**
  * Create Task - POST /tasks
+ * The job goes to the browser named by browserId, or to any browser in pool advertising
+ * every tag in requiredTags; at least one of the three is required
  */
 export async function handleCreateTask(request: Request, env: Env): Promise<Response> {
   try {
     const body = await validateJsonBody(request, [
-      'browserId',
       'taskName', 
       'url'
     ]);
     
+    const routingError = validateJobRouting(body);
+    if (routingError) {
+      return createErrorResponse(routingError, 400);
+    }
+    
     const jobId = generateJobId();
     const now = getCurrentTimestamp();
     const contentType = sanitizeContentType(body.contentType || 'default');
@@ -74,38 +88,62 @@ export async function handleCreateTask(request: Request, env: Env): Promise<Resp
       return createErrorResponse('Invalid URL provided', 400);
     }
     
+    // Validate task parameters (optional)
+    if (body.paramsJson !== undefined) {
+      const paramsValidation = validateTaskParams(body.paramsJson);
+      if (!paramsValidation.valid) {
+        return createErrorResponse(paramsValidation.error!, 400);
+      }
+    }
+    
     // Insert job into D1
     const stmt = env.DB.prepare(`
       INSERT INTO jobs (
-        job_id, browser_id, task_name, url, content_type, 
-        state, priority, callback_url, callback_secret_id, 
+        job_id, browser_id, pool, required_tags, task_name, url, content_type, 
+        state, priority, params_json, callback_url, callback_secret_id, 
         created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
+    const requiredTags = body.requiredTags?.length ? body.requiredTags : null;
+    
     await stmt.bind(
       jobId,
-      body.browserId,
+      body.browserId || null,
+      body.pool || null,
+      requiredTags ? JSON.stringify(requiredTags) : null,
       body.taskName,
       body.url,
       contentType,
       'queued',
       body.priority || 0,
+      body.paramsJson ? JSON.stringify(body.paramsJson) : null,
       body.callbackUrl || null,
       body.callbackSecretId || null,
       now,
       now
     ).run();
     
-    console.log(`✅ Created job ${jobId} for browser ${body.browserId}`);
+    console.log(`✅ Created job ${jobId} for ${describeJobRouting(body.browserId, body.pool, requiredTags)}`);
+    
+    // Wake the browsers that could take it if they hold a push connection; otherwise they
+    // find the job on their next poll
+    if (body.browserId) {
+      await pushToBrowser(env, body.browserId, { type: 'work_available', jobId });
+    } else {
+      await pushToPool(env, body.pool || null, { type: 'work_available', jobId });
+    }
     
     return createSuccessResponse({
       jobId,
       state: 'queued',
-      browserId: body.browserId,
+      browserId: body.browserId || null,
+      pool: body.pool || null,
+      requiredTags: requiredTags || [],
       taskName: body.taskName,
       url: body.url,
       contentType,
+      paramsJson: body.paramsJson || {},
       createdAt: now
     }, 201);
     
@@ -115,6 +153,62 @@ export async function handleCreateTask(request: Request, env: Env): Promise<Resp
   }
 }
 
+/**
+ * Cancel Task - DELETE /tasks/:jobId
+ * Queued and leased jobs become cancelled; a browser working on the job is told to stop
+ */
+export async function handleCancelTask(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const jobId = url.pathname.split('/').pop();
+    
+    const job = await env.DB.prepare(`
+      SELECT job_id, leased_by, state FROM jobs WHERE job_id = ?
+    `).bind(jobId).first();
+    
+    if (!job) {
+      return createErrorResponse('Job not found', 404);
+    }
+    if (job.state !== 'queued' && job.state !== 'leased') {
+      return createErrorResponse(`Job is already ${job.state}`, 409, { state: job.state });
+    }
+    
+    const result = await env.DB.prepare(`
+      UPDATE jobs 
+      SET state = 'cancelled', lease_id = NULL, lease_until = NULL, error_message = 'Cancelled', updated_at = ?
+      WHERE job_id = ? AND state IN ('queued', 'leased')
+    `).bind(getCurrentTimestamp(), jobId).run();
+    
+    if (!result.meta.changes) {
+      return createErrorResponse('Job changed state while cancelling, check its status', 409);
+    }
+    
+    if (job.state === 'leased') {
+      const taskQueueId = env.TaskQueue.idFromName('global');
+      const taskQueue = env.TaskQueue.get(taskQueueId);
+      
+      await taskQueue.fetch('https://taskqueue.internal/revoke', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId })
+      });
+      await pushToBrowser(env, job.leased_by as string, { type: 'lease_revoked', jobId, reason: 'cancelled' });
+    }
+    
+    console.log(`🛑 Cancelled job ${jobId} (was ${job.state})`);
+    
+    return createSuccessResponse({
+      jobId,
+      state: 'cancelled',
+      previousState: job.state
+    });
+    
+  } catch (error) {
+    console.error('Cancel task error:', error);
+    return createErrorResponse('Failed to cancel task', 500, { error: (error as Error).message });
+  }
+}
+
 /**
  * Lease Tasks - POST /lease
  */
@@ -123,6 +217,48 @@ export async function handleLease(request: Request, env: Env): Promise<Response>
     const body = await validateJsonBody(request, ['browserId']);
     const maxItems = Math.min(body.max || 1, 10); // Limit to 10 items max
     
+    const authError = await authorizeBrowser(request, env, body.browserId);
+    if (authError) {
+      return authError;
+    }
+    
+    // Browsers advertise the task types they can run; omitted means any type
+    if (body.taskTypes !== undefined) {
+      const taskTypesValidation = validateTaskTypes(body.taskTypes);
+      if (!taskTypesValidation.valid) {
+        return createErrorResponse(taskTypesValidation.error!, 400);
+      }
+    }
+    
+    // ...and the pool and tags that decide which unpinned jobs they may take
+    if (body.pool !== undefined && body.pool !== null) {
+      const poolValidation = validatePool(body.pool);
+      if (!poolValidation.valid) {
+        return createErrorResponse(poolValidation.error!, 400);
+      }
+    }
+    if (body.tags !== undefined) {
+      const tagsValidation = validateTags(body.tags);
+      if (!tagsValidation.valid) {
+        return createErrorResponse(tagsValidation.error!, 400);
+      }
+    }
+    
+    // Every lease response carries the browser's effective config so changes apply on the next poll
+    const browserConfig = await getBrowserConfig(env.DB, body.browserId);
+    const taskTypes = resolveLeaseTaskTypes(body.taskTypes, browserConfig);
+    
+    if (browserConfig.paused || browserConfig.draining || (taskTypes && taskTypes.length === 0)) {
+      return createSuccessResponse({
+        items: [],
+        count: 0,
+        browserId: body.browserId,
+        heartbeatIntervalMs: browserConfig.heartbeatIntervalMs,
+        nextPollMs: browserConfig.pollIntervalMs ?? browserConfig.idlePollIntervalMs,
+        config: browserConfig
+      });
+    }
+    
     // Get TaskQueue Durable Object
     const taskQueueId = env.TaskQueue.idFromName('global');
     const taskQueue = env.TaskQueue.get(taskQueueId);
@@ -133,7 +269,10 @@ export async function handleLease(request: Request, env: Env): Promise<Response>
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         browserId: body.browserId,
-        maxItems
+        maxItems,
+        taskTypes,
+        pool: body.pool || null,
+        tags: body.tags || []
       })
     });
     
@@ -141,16 +280,105 @@ export async function handleLease(request: Request, env: Env): Promise<Response>
     const leaseResult = await leaseResponse.json() as any;
     
     if (!leaseResponse.ok) {
-      return createErrorResponse('Lease failed', leaseResponse.status, leaseResult);
+      return withRetryAfter(createErrorResponse('Lease failed', leaseResponse.status, leaseResult));
     }
     
     console.log(`✅ Leased ${(leaseResult as any).items?.length || 0} tasks for browser ${body.browserId}`);
     
-    return createSuccessResponse(leaseResult);
+    return createSuccessResponse({ ...leaseResult, config: browserConfig });
     
   } catch (error) {
     console.error('Lease error:', error);
-    return createErrorResponse('Failed to lease tasks', 500, { error: (error as Error).message });
+    return withRetryAfter(createErrorResponse('Failed to lease tasks', 500, { error: (error as Error).message }));
+  }
+}
+
+/**
+ * Browser Config - GET /browser-config?browserId=...
+ * The same effective config /lease returns, for browsers that want it without leasing
+ */
+export async function handleBrowserConfig(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const browserId = url.searchParams.get('browserId');
+    
+    if (!browserId) {
+      return createErrorResponse('browserId is required', 400);
+    }
+    
+    const authError = await authorizeBrowser(request, env, browserId);
+    if (authError) {
+      return authError;
+    }
+    
+    return createSuccessResponse({
+      browserId,
+      config: await getBrowserConfig(env.DB, browserId)
+    });
+    
+  } catch (error) {
+    console.error('Browser config error:', error);
+    return createErrorResponse('Failed to load browser config', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Connect - GET /connect?browserId=...&pool=... (WebSocket upgrade)
+ * Opens a push connection for work_available messages; pool subscribes it to the pool's jobs too. WebSockets can't carry an
+ * Authorization header, so the browser token is sent as the second
+ * Sec-WebSocket-Protocol value after behalf-tasks.
+ */
+export async function handleConnect(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const browserId = url.searchParams.get('browserId');
+    const pool = url.searchParams.get('pool');
+    
+    if (!browserId) {
+      return createErrorResponse('browserId is required', 400);
+    }
+    if (pool) {
+      const poolValidation = validatePool(pool);
+      if (!poolValidation.valid) {
+        return createErrorResponse(poolValidation.error!, 400);
+      }
+    }
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return createErrorResponse('Expected a WebSocket upgrade', 426);
+    }
+    
+    const [protocol, token] = (request.headers.get('Sec-WebSocket-Protocol') || '')
+      .split(',')
+      .map(value => value.trim());
+    if (protocol !== TASK_SOCKET_PROTOCOL) {
+      return createErrorResponse(`Sec-WebSocket-Protocol must start with ${TASK_SOCKET_PROTOCOL}`, 400);
+    }
+    
+    const authRequest = new Request(request.url, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+    const authError = await authorizeBrowser(authRequest, env, browserId);
+    if (authError) {
+      return authError;
+    }
+    
+    // Hand the upgrade to the Durable Object, which keeps the socket
+    const taskQueueId = env.TaskQueue.idFromName('global');
+    const taskQueue = env.TaskQueue.get(taskQueueId);
+    
+    const connectParams = new URLSearchParams({ browserId });
+    if (pool) {
+      connectParams.set('pool', pool);
+    }
+    
+    return await taskQueue.fetch(
+      `https://taskqueue.internal/connect?${connectParams}`,
+      { headers: request.headers }
+    );
+    
+  } catch (error) {
+    console.error('Connect error:', error);
+    return createErrorResponse('Failed to connect', 500, { error: (error as Error).message });
   }
 }
 
@@ -161,6 +389,11 @@ export async function handleHeartbeat(request: Request, env: Env): Promise<Respo
   try {
     const body = await validateJsonBody(request, ['jobId', 'leaseId']);
     
+    const authError = await authorizeJobBrowser(request, env, body.jobId);
+    if (authError) {
+      return authError;
+    }
+    
     // Get TaskQueue Durable Object
     const taskQueueId = env.TaskQueue.idFromName('global');
     const taskQueue = env.TaskQueue.get(taskQueueId);
@@ -179,6 +412,13 @@ export async function handleHeartbeat(request: Request, env: Env): Promise<Respo
     const heartbeatResult = await heartbeatResponse.json();
     
     if (!heartbeatResponse.ok) {
+      // A revoked lease is unknown to the queue; tell the browser when that's because of a cancel
+      const job = await env.DB.prepare(`
+        SELECT state FROM jobs WHERE job_id = ?
+      `).bind(body.jobId).first();
+      if (job?.state === 'cancelled') {
+        return createErrorResponse('Job cancelled', 410, { cancelled: true });
+      }
       return createErrorResponse('Heartbeat failed', heartbeatResponse.status, heartbeatResult);
     }
     
@@ -199,138 +439,465 @@ export async function handleSubmit(request: Request, env: Env): Promise<Response
   try {
     const body = await validateJsonBody(request, ['jobId', 'leaseId']);
     
-    // Validate lease first
-    const job = await env.DB.prepare(`
-      SELECT job_id, lease_id, state, url, content_type, callback_url, callback_secret_id
-      FROM jobs 
-      WHERE job_id = ? AND lease_id = ? AND state = 'leased'
-    `).bind(body.jobId, body.leaseId).first();
+    const authError = await authorizeJobBrowser(request, env, body.jobId);
+    if (authError) {
+      return authError;
+    }
     
+    // Validate lease first
+    const job = await findLeasedJob(env, body.jobId, body.leaseId);
     if (!job) {
       return createErrorResponse('Invalid job or lease', 400);
     }
     
-    let r2Key: string;
-    let contentSize: number;
-    let contentHash: string;
+    let raw: StoredArtifact | null = null;
     
     // Handle content submission
     if (body.htmlBase64) {
-      // Option A: Base64 inline content
-      const htmlContent = atob(body.htmlBase64);
-      contentSize = htmlContent.length;
-      contentHash = body.sha256 || await generateSHA256(htmlContent);
+      // Option A: Base64 inline content, decoded back to the exact bytes the client encoded
+      const config = await getSystemConfig(env.DB);
+      const bytes = decodeBase64(body.htmlBase64);
+      if (bytes.length > config.max_content_size_bytes) {
+        return createErrorResponse(`Content exceeds the maximum size of ${config.max_content_size_bytes} bytes`, 413);
+      }
       
-      // Store in R2
-      r2Key = `raw/${body.jobId}.html`;
-      await env.R2.put(r2Key, htmlContent, {
-        httpMetadata: {
-          contentType: body.contentType || 'text/html; charset=utf-8'
-        }
-      });
+      const sha256 = await generateSHA256(bytes.buffer as ArrayBuffer);
+      if (body.sha256 && body.sha256 !== sha256) {
+        return createErrorResponse('sha256 does not match the submitted content', 400, { expected: body.sha256, actual: sha256 });
+      }
+      
+      const contentType = body.contentType || 'text/html; charset=utf-8';
+      raw = await storeRawContent(env, body.jobId, bytes, sha256, contentType, body.originalCharset || getCharset(contentType));
       
     } else if (body.r2Key) {
-      // Option B: Pre-uploaded to R2
-      r2Key = body.r2Key;
-      contentSize = body.size || 0;
-      contentHash = body.sha256 || '';
+      // Option B: Pre-uploaded to R2 via GET /upload-url
+      if (!body.r2Key.startsWith(`raw/${body.jobId}.`)) {
+        return createErrorResponse('r2Key does not belong to this job', 400);
+      }
       
       // Verify the R2 object exists
-      const r2Object = await env.R2.head(r2Key);
+      const r2Object = await env.R2.head(body.r2Key);
       if (!r2Object) {
         return createErrorResponse('R2 object not found', 400);
       }
       
-    } else {
-      return createErrorResponse('Either htmlBase64 or r2Key must be provided', 400);
+      // Signed uploads record the hash the worker computed; trust it over the client's
+      const storedSha256 = r2Object.customMetadata?.sha256;
+      if (storedSha256 && body.sha256 && body.sha256 !== storedSha256) {
+        return createErrorResponse('sha256 does not match the uploaded content', 400, { expected: body.sha256, actual: storedSha256 });
+      }
+      
+      const contentType = r2Object.httpMetadata?.contentType || body.contentType || 'text/html; charset=utf-8';
+      raw = {
+        r2Key: body.r2Key,
+        sha256: storedSha256 || body.sha256 || '',
+        bytes: r2Object.size,
+        contentType,
+        originalCharset: body.originalCharset || getCharset(contentType)
+      };
+      
+    } else if (body.uploadId) {
+      // Option C: Completed chunked upload session (POST /uploads), started under this lease
+      const upload = await env.DB.prepare(`
+        SELECT r2_key, sha256, bytes, content_type, original_charset
+        FROM upload_sessions
+        WHERE upload_id = ? AND job_id = ? AND lease_id = ? AND state = 'completed'
+      `).bind(body.uploadId, body.jobId, body.leaseId).first();
+      
+      if (!upload) {
+        return createErrorResponse('Upload not found or not completed under this lease', 400);
+      }
+      
+      raw = {
+        r2Key: upload.r2_key as string,
+        sha256: upload.sha256 as string,
+        bytes: upload.bytes as number,
+        contentType: upload.content_type as string,
+        originalCharset: upload.original_charset as string | null
+      };
+      
+    } else if (!body.screenshotBase64 && !body.parsedJson) {
+      return createErrorResponse('Either htmlBase64, r2Key, uploadId, screenshotBase64 or parsedJson must be provided', 400);
+    }
+    
+    // Screenshots are stored next to the HTML under screenshots/
+    let screenshot: StoredArtifact | null = null;
+    if (body.screenshotBase64) {
+      const screenshotContentType = body.screenshotContentType || 'image/png';
+      if (!SCREENSHOT_EXTENSIONS[screenshotContentType]) {
+        return createErrorResponse(
+          `Unsupported screenshot content type: ${screenshotContentType}`,
+          400,
+          { allowed: Object.keys(SCREENSHOT_EXTENSIONS) }
+        );
+      }
+      screenshot = await storeScreenshot(env, body.jobId, body.screenshotBase64, screenshotContentType);
+    }
+    
+    // Structured data extracted in the browser is stored as the parsed artifact
+    let parsed: StoredArtifact | null = null;
+    if (body.parsedJson) {
+      if (typeof body.parsedJson !== 'object') {
+        return createErrorResponse('parsedJson must be a JSON object or array', 400);
+      }
+      parsed = await storeParsedData(env, body.jobId, body.parsedJson);
     }
     
+    return await completeSubmission(env, job, { raw, parsed, screenshot, captureMeta: body.captureMeta });
+    
+  } catch (error) {
+    console.error('Submit error:', error);
+    return createErrorResponse('Failed to submit task', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Submit Raw Content - POST /submit/raw?jobId=...&leaseId=...
+ * The request body is the page itself, optionally gzip or deflate compressed via Content-Encoding.
+ * Hash and size are computed over the decoded bytes, which are stored untouched in R2.
+ */
+export async function handleSubmitRaw(request: Request, env: Env): Promise<Response> {
+  try {
+    const params = new URL(request.url).searchParams;
+    const jobId = params.get('jobId');
+    const leaseId = params.get('leaseId');
+    
+    if (!jobId || !leaseId) {
+      return createErrorResponse('jobId and leaseId parameters required', 400);
+    }
+    
+    const authError = await authorizeJobBrowser(request, env, jobId);
+    if (authError) {
+      return authError;
+    }
+    
+    const encoding = (request.headers.get('Content-Encoding') || 'identity').trim().toLowerCase();
+    if (!(encoding in SUPPORTED_CONTENT_ENCODINGS)) {
+      return createErrorResponse(
+        `Unsupported Content-Encoding: ${encoding}`,
+        415,
+        { allowed: Object.keys(SUPPORTED_CONTENT_ENCODINGS) }
+      );
+    }
+    
+    if (!request.body) {
+      return createErrorResponse('Request body required', 400);
+    }
+    
+    let captureMeta = null;
+    if (params.get('captureMeta')) {
+      try {
+        captureMeta = JSON.parse(params.get('captureMeta')!);
+      } catch (error) {
+        return createErrorResponse('captureMeta must be valid JSON', 400);
+      }
+    }
+    
+    // Validate lease before reading the body
+    const job = await findLeasedJob(env, jobId, leaseId);
+    if (!job) {
+      return createErrorResponse('Invalid job or lease', 400);
+    }
+    
+    const config = await getSystemConfig(env.DB);
+    let bytes: Uint8Array;
+    try {
+      bytes = await readDecodedBody(request.body, encoding, config.max_content_size_bytes);
+    } catch (error) {
+      if (error instanceof ContentTooLargeError) {
+        return createErrorResponse(error.message, 413);
+      }
+      return createErrorResponse(`Failed to decode ${encoding} request body`, 400, { error: (error as Error).message });
+    }
+    
+    if (bytes.length === 0) {
+      return createErrorResponse('Request body is empty', 400);
+    }
+    
+    const sha256 = await generateSHA256(bytes.buffer as ArrayBuffer);
+    const expectedSha256 = params.get('sha256');
+    if (expectedSha256 && expectedSha256 !== sha256) {
+      return createErrorResponse('sha256 does not match the submitted content', 400, { expected: expectedSha256, actual: sha256 });
+    }
+    
+    // Bytes are kept in whatever charset the client sent; originalCharset records the page's
+    // own charset when the client re-encoded it (the extension always sends UTF-8)
+    const contentType = request.headers.get('Content-Type') || 'text/html; charset=utf-8';
+    const originalCharset = params.get('originalCharset') || getCharset(contentType);
+    const raw = await storeRawContent(env, jobId, bytes, sha256, contentType, originalCharset);
+    
+    return await completeSubmission(env, job, { raw, parsed: null, screenshot: null, captureMeta });
+    
+  } catch (error) {
+    console.error('Raw submit error:', error);
+    return createErrorResponse('Failed to submit task', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Report Task Failure - POST /fail
+ * Ends the lease and hands the failure to the retry policy, which requeues the job (possibly
+ * after a backoff) or dead-letters it. A report without a category counts as navigation_error.
+ * A partial page can be attached as { htmlBase64, originalCharset }.
+ */
+export async function handleFail(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await validateJsonBody(request, ['jobId', 'leaseId']);
+    
+    const category = body.category ?? DEFAULT_FAILURE_CATEGORY;
+    const categoryValidation = validateFailureCategory(category);
+    if (!categoryValidation.valid) {
+      return createErrorResponse(categoryValidation.error!, 400);
+    }
+    const message = String(body.message || category);
+    
+    const authError = await authorizeJobBrowser(request, env, body.jobId);
+    if (authError) {
+      return authError;
+    }
+    
+    const job = await findLeasedJob(env, body.jobId, body.leaseId);
+    if (!job) {
+      return createErrorResponse('Invalid job or lease', 400);
+    }
+    
+    const config = await getSystemConfig(env.DB);
     const now = getCurrentTimestamp();
+    const failure = { category, message };
     
-    // Update job state and create artifact record
-    await env.DB.batch([
-      env.DB.prepare(`
-        UPDATE jobs 
-        SET state = 'fetched', updated_at = ?, lease_id = NULL, lease_until = NULL
-        WHERE job_id = ?
-      `).bind(now, body.jobId),
+    // Keep what the page rendered before it failed; a later successful attempt replaces it
+    let partial: StoredArtifact | null = null;
+    if (body.partial?.htmlBase64) {
+      const bytes = decodeBase64(body.partial.htmlBase64);
+      if (bytes.length > config.max_content_size_bytes) {
+        return createErrorResponse(`Content exceeds the maximum size of ${config.max_content_size_bytes} bytes`, 413);
+      }
+      
+      const contentType = 'text/html; charset=utf-8';
+      partial = await storeRawContent(
+        env,
+        body.jobId,
+        bytes,
+        await generateSHA256(bytes.buffer as ArrayBuffer),
+        contentType,
+        body.partial.originalCharset || null
+      );
       
-      env.DB.prepare(`
+      await env.DB.prepare(`
         INSERT OR REPLACE INTO artifacts (
           job_id, raw_r2_key, raw_sha256, raw_bytes, raw_content_type,
-          created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+          capture_meta, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         body.jobId,
-        r2Key,
-        contentHash,
-        contentSize,
-        body.contentType || 'text/html; charset=utf-8',
+        partial.r2Key,
+        partial.sha256,
+        partial.bytes,
+        contentType,
+        JSON.stringify({ failure, originalCharset: partial.originalCharset }),
         now,
         now
-      )
-    ]);
+      ).run();
+    }
     
-    // Enqueue webhook if callback URL provided
-    if (job.callback_url && env.CALLBACKS_QUEUE) {
-      await env.CALLBACKS_QUEUE.send({
-        job_id: body.jobId,
-        phase: 'ingested',
-        callback_url: job.callback_url,
-        callback_secret_id: job.callback_secret_id
-      });
+    const decision = await recordJobFailure(env, job, { leaseId: body.leaseId, errorType: category, message });
+    if (!decision) {
+      return createErrorResponse('Invalid job or lease', 400);
     }
     
-    console.log(`✅ Submitted job ${body.jobId}, stored as ${r2Key}`);
+    await releaseTaskLease(env, body.jobId, body.leaseId);
     
     return createSuccessResponse({
-      success: true,
       jobId: body.jobId,
-      r2Key,
-      contentHash,
-      contentSize,
-      state: 'fetched'
+      category,
+      attempts: decision.attempts,
+      state: decision.state,
+      retry: decision.retry,
+      retryAt: decision.retry ? decision.retryAt : null,
+      reason: decision.reason,
+      partial
     });
     
   } catch (error) {
-    console.error('Submit error:', error);
-    return createErrorResponse('Failed to submit task', 500, { error: (error as Error).message });
+    console.error('Fail task error:', error);
+    return createErrorResponse('Failed to record task failure', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Find a job that is currently leased under the given lease ID
+ */
+export async function findLeasedJob(env: Env, jobId: string, leaseId: string): Promise<Record<string, any> | null> {
+  return env.DB.prepare(`
+    SELECT job_id, lease_id, state, task_name, url, content_type, attempts, callback_url, callback_secret_id
+    FROM jobs 
+    WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+  `).bind(jobId, leaseId).first();
+}
+
+interface SubmittedArtifacts {
+  raw: StoredArtifact | null;
+  parsed: StoredArtifact | null;
+  screenshot: StoredArtifact | null;
+  captureMeta: any;
+}
+
+/**
+ * Mark a leased job as fetched, record its artifacts and enqueue the ingested webhook
+ */
+async function completeSubmission(
+  env: Env,
+  job: Record<string, any>,
+  { raw, parsed, screenshot, captureMeta }: SubmittedArtifacts
+): Promise<Response> {
+  const jobId = job.job_id as string;
+  const now = getCurrentTimestamp();
+  
+  if (raw?.originalCharset) {
+    captureMeta = { ...captureMeta, originalCharset: raw.originalCharset };
+  }
+  
+  // Record the artifacts and mark the job fetched, both only while the lease is still held:
+  // a lease that expired, was revoked or was cancelled mid-upload must not overwrite the job
+  const [, update] = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT OR REPLACE INTO artifacts (
+        job_id, raw_r2_key, raw_sha256, raw_bytes, raw_content_type,
+        parsed_r2_key, parsed_sha256, parsed_bytes,
+        screenshot_r2_key, screenshot_sha256, screenshot_bytes, screenshot_content_type,
+        capture_meta, created_at, updated_at
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM jobs WHERE job_id = ? AND lease_id = ? AND state = 'leased')
+    `).bind(
+      jobId,
+      raw?.r2Key || null,
+      raw?.sha256 || null,
+      raw?.bytes || null,
+      raw?.contentType || null,
+      parsed?.r2Key || null,
+      parsed?.sha256 || null,
+      parsed?.bytes || null,
+      screenshot?.r2Key || null,
+      screenshot?.sha256 || null,
+      screenshot?.bytes || null,
+      screenshot?.contentType || null,
+      captureMeta ? JSON.stringify(captureMeta) : null,
+      now,
+      now,
+      jobId,
+      job.lease_id
+    ),
+    
+    env.DB.prepare(`
+      UPDATE jobs 
+      SET state = 'fetched', updated_at = ?, lease_id = NULL, lease_until = NULL
+      WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+    `).bind(now, jobId, job.lease_id)
+  ]);
+  
+  if (!update.meta.changes) {
+    const current = await env.DB.prepare(`
+      SELECT state FROM jobs WHERE job_id = ?
+    `).bind(jobId).first();
+    
+    if (current?.state === 'cancelled') {
+      return createErrorResponse('Job cancelled', 410, { cancelled: true });
+    }
+    return createErrorResponse('Lease is no longer held', 409, { state: current?.state || null });
   }
+  
+  await releaseTaskLease(env, jobId, job.lease_id);
+  
+  // Enqueue webhook if callback URL provided
+  if (job.callback_url && env.CALLBACKS_QUEUE) {
+    await env.CALLBACKS_QUEUE.send({
+      job_id: jobId,
+      phase: 'ingested',
+      callback_url: job.callback_url,
+      callback_secret_id: job.callback_secret_id
+    });
+  }
+  
+  console.log(`✅ Submitted job ${jobId}, stored as ${[raw?.r2Key, parsed?.r2Key, screenshot?.r2Key].filter(Boolean).join(', ')}`);
+  
+  return createSuccessResponse({
+    success: true,
+    jobId,
+    r2Key: raw?.r2Key || null,
+    contentHash: raw?.sha256 || '',
+    contentSize: raw?.bytes || 0,
+    originalCharset: raw?.originalCharset || null,
+    parsed,
+    screenshot,
+    state: 'fetched'
+  });
 }
 
 /**
- * Get Upload URL - GET /upload-url
+ * Get Upload URL - GET /upload-url?jobId=...&leaseId=...&contentType=...&size=...
+ * Issues a short-lived signed URL for a single PUT /upload/:token; submit the result with { r2Key }
  */
 export async function handleUploadUrl(request: Request, env: Env): Promise<Response> {
   try {
     const url = new URL(request.url);
     const jobId = url.searchParams.get('jobId');
+    const leaseId = url.searchParams.get('leaseId');
     
-    if (!jobId) {
-      return createErrorResponse('jobId parameter required', 400);
+    if (!jobId || !leaseId) {
+      return createErrorResponse('jobId and leaseId parameters required', 400);
+    }
+    
+    const authError = await authorizeJobBrowser(request, env, jobId);
+    if (authError) {
+      return authError;
+    }
+    
+    if (!env.UPLOAD_SIGNING_KEY) {
+      return createErrorResponse('Signed uploads are not configured (UPLOAD_SIGNING_KEY)', 503);
     }
     
     // Verify job exists and is leased
-    const job = await env.DB.prepare(`
-      SELECT job_id, state, lease_id FROM jobs WHERE job_id = ?
-    `).bind(jobId).first();
+    const job = await findLeasedJob(env, jobId, leaseId);
+    if (!job) {
+      return createErrorResponse('Invalid job or lease', 400);
+    }
+    
+    const config = await getSystemConfig(env.DB);
+    const contentType = url.searchParams.get('contentType') || 'text/html; charset=utf-8';
     
-    if (!job || job.state !== 'leased') {
-      return createErrorResponse('Job not found or not leased', 400);
+    // The token caps the upload at the declared size, or the system-wide content limit
+    let maxBytes = config.max_content_size_bytes;
+    if (url.searchParams.get('size')) {
+      const size = Number(url.searchParams.get('size'));
+      if (!Number.isInteger(size) || size <= 0) {
+        return createErrorResponse('size must be a positive integer', 400);
+      }
+      if (size > maxBytes) {
+        return createErrorResponse(`Content exceeds the maximum size of ${maxBytes} bytes`, 413);
+      }
+      maxBytes = size;
     }
     
-    // Generate signed upload URL
     const r2Key = `raw/${jobId}.html`;
-    // Note: createPresignedUrl is not available in current R2Bucket interface
-    // const signedUrl = await env.R2.createPresignedUrl(r2Key, 'PUT', {
-    //   expiresIn: 3600 // 1 hour
-    // });
+    const expiresAt = getCurrentTimestamp() + config.upload_token_ttl_ms;
+    const token = await createUploadToken({
+      jobId,
+      leaseId,
+      r2Key,
+      contentType,
+      maxBytes,
+      exp: expiresAt
+    }, env.UPLOAD_SIGNING_KEY);
     
     return createSuccessResponse({
-      uploadUrl: `https://api.cloudflare.com/client/v4/accounts/YOUR_ACCOUNT_ID/r2/buckets/behalf-ingestion/objects/${r2Key}`,
+      uploadUrl: `${url.origin}/upload/${token}`,
       r2Key,
       method: 'PUT',
-      expiresIn: 3600
+      headers: { 'Content-Type': contentType },
+      maxBytes,
+      expiresIn: Math.floor(config.upload_token_ttl_ms / 1000),
+      expiresAt
     });
     
   } catch (error) {
@@ -352,7 +919,7 @@ export async function handleStatus(request: Request, env: Env): Promise<Response
     }
     
     const job = await env.DB.prepare(`
-      SELECT job_id, browser_id, task_name, url, content_type, state, 
+      SELECT job_id, browser_id, pool, required_tags, leased_by, task_name, url, content_type, state, 
              priority, attempts, created_at, updated_at, error_message
       FROM jobs 
       WHERE job_id = ?
@@ -384,7 +951,9 @@ export async function handleArtifacts(request: Request, env: Env): Promise<Respo
     
     const artifacts = await env.DB.prepare(`
       SELECT job_id, raw_r2_key, raw_sha256, raw_bytes, raw_content_type,
-             parsed_r2_key, parsed_sha256, parsed_bytes, created_at, updated_at
+             parsed_r2_key, parsed_sha256, parsed_bytes,
+             screenshot_r2_key, screenshot_sha256, screenshot_bytes, screenshot_content_type,
+             capture_meta, created_at, updated_at
       FROM artifacts 
       WHERE job_id = ?
     `).bind(jobId).first();
@@ -397,7 +966,10 @@ export async function handleArtifacts(request: Request, env: Env): Promise<Respo
       });
     }
     
-    return createSuccessResponse(artifacts);
+    return createSuccessResponse({
+      ...artifacts,
+      capture_meta: artifacts.capture_meta ? JSON.parse(artifacts.capture_meta as string) : null
+    });
     
   } catch (error) {
     console.error('Artifacts error:', error);
@@ -405,6 +977,56 @@ export async function handleArtifacts(request: Request, env: Env): Promise<Respo
   }
 }
 
+/**
+ * Get Browser Job - GET /browser-jobs/:jobId
+ * Status and artifact metadata of a job for the browser that leased it (or that it is pinned to),
+ * authenticated with the browser token so the extension can show its own jobs without an API token
+ */
+export async function handleBrowserJob(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const jobId = url.pathname.split('/').pop();
+    
+    if (!jobId) {
+      return createErrorResponse('Job ID required', 400);
+    }
+    
+    // A token is required even while require_browser_auth is off; this route only reads
+    const browser = await authenticateBrowser(request, env);
+    if (!browser) {
+      return createErrorResponse('Browser token required', 401);
+    }
+    
+    const job = await env.DB.prepare(`
+      SELECT job_id, task_name, url, content_type, state, attempts, created_at, updated_at, error_message
+      FROM jobs
+      WHERE job_id = ? AND COALESCE(leased_by, browser_id) = ?
+    `).bind(jobId, browser.browserId).first();
+    
+    if (!job) {
+      return createErrorResponse('Job not found', 404);
+    }
+    
+    const artifacts = await env.DB.prepare(`
+      SELECT raw_bytes, raw_content_type, parsed_bytes, screenshot_bytes, screenshot_content_type,
+             capture_meta, updated_at
+      FROM artifacts
+      WHERE job_id = ?
+    `).bind(jobId).first();
+    
+    return createSuccessResponse({
+      ...job,
+      artifacts: artifacts
+        ? { ...artifacts, capture_meta: artifacts.capture_meta ? JSON.parse(artifacts.capture_meta as string) : null }
+        : null
+    });
+    
+  } catch (error) {
+    console.error('Browser job error:', error);
+    return createErrorResponse('Failed to get job', 500, { error: (error as Error).message });
+  }
+}
+
 /**
  * Get Statistics - GET /stats
  */
@@ -472,10 +1094,202 @@ export async function handleStats(request: Request, env: Env): Promise<Response>
   }
 }
 
+interface StoredArtifact {
+  r2Key: string;
+  sha256: string;
+  bytes: number;
+  contentType: string;
+  originalCharset?: string | null;
+}
+
+const SCREENSHOT_EXTENSIONS: Record<string, string> = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+/**
+ * Store submitted page bytes in R2 exactly as received
+ */
+async function storeRawContent(
+  env: Env,
+  jobId: string,
+  bytes: Uint8Array,
+  sha256: string,
+  contentType: string,
+  originalCharset: string | null
+): Promise<StoredArtifact> {
+  const r2Key = `raw/${jobId}.html`;
+  
+  await env.R2.put(r2Key, bytes, {
+    httpMetadata: { contentType },
+    customMetadata: originalCharset ? { originalCharset } : undefined
+  });
+  
+  return {
+    r2Key,
+    sha256,
+    bytes: bytes.length,
+    contentType,
+    originalCharset
+  };
+}
+
+/**
+ * Decode a base64 screenshot and store it in R2
+ */
+async function storeScreenshot(
+  env: Env,
+  jobId: string,
+  screenshotBase64: string,
+  contentType: string
+): Promise<StoredArtifact> {
+  const bytes = decodeBase64(screenshotBase64);
+  const r2Key = `screenshots/${jobId}.${SCREENSHOT_EXTENSIONS[contentType]}`;
+  
+  await env.R2.put(r2Key, bytes, {
+    httpMetadata: { contentType }
+  });
+  
+  return {
+    r2Key,
+    sha256: await generateSHA256(bytes.buffer as ArrayBuffer),
+    bytes: bytes.length,
+    contentType
+  };
+}
+
+/**
+ * Serialize extracted data and store it in R2 as the parsed artifact
+ */
+async function storeParsedData(env: Env, jobId: string, data: any): Promise<StoredArtifact> {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  const r2Key = generateR2Key(jobId, 'parsed');
+  const contentType = 'application/json';
+  
+  await env.R2.put(r2Key, bytes, {
+    httpMetadata: { contentType }
+  });
+  
+  return {
+    r2Key,
+    sha256: await generateSHA256(bytes.buffer),
+    bytes: bytes.length,
+    contentType
+  };
+}
+
+const LEASE_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Ask polling browsers to back off while leasing is failing
+ */
+function withRetryAfter(response: Response): Response {
+  if (response.status >= 500) {
+    response.headers.set('Retry-After', String(LEASE_RETRY_AFTER_SECONDS));
+  }
+  return response;
+}
+
+/**
+ * Free a finished job's lease in the TaskQueue Durable Object instead of leaving it to the
+ * expiry sweep. Best effort: D1 already records the job as no longer leased.
+ */
+async function releaseTaskLease(env: Env, jobId: string, leaseId: string): Promise<void> {
+  try {
+    const taskQueueId = env.TaskQueue.idFromName('global');
+    const taskQueue = env.TaskQueue.get(taskQueueId);
+    
+    await taskQueue.fetch('https://taskqueue.internal/release', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId, leaseId })
+    });
+  } catch (error) {
+    console.warn(`Could not release lease ${leaseId} for job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Push a message to a browser's open connections. Best effort: a browser without a
+ * connection sees the change when it next polls.
+ */
+export async function pushToBrowser(env: Env, browserId: string, message: { type: string; [key: string]: any }): Promise<void> {
+  await notifyConnections(env, { browserId }, message, `browser ${browserId}`);
+}
+
+/**
+ * Push a message to every connection in a pool, or to every connection when pool is null
+ */
+export async function pushToPool(env: Env, pool: string | null, message: { type: string; [key: string]: any }): Promise<void> {
+  await notifyConnections(env, { pool }, message, pool ? `pool ${pool}` : 'all browsers');
+}
+
+async function notifyConnections(
+  env: Env,
+  target: { browserId?: string; pool?: string | null },
+  message: { type: string; [key: string]: any },
+  description: string
+): Promise<void> {
+  try {
+    const taskQueueId = env.TaskQueue.idFromName('global');
+    const taskQueue = env.TaskQueue.get(taskQueueId);
+    
+    const notifyResponse = await taskQueue.fetch('https://taskqueue.internal/notify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...target, message })
+    });
+    const notifyResult = await notifyResponse.json() as any;
+    
+    if (notifyResult.delivered > 0) {
+      console.log(`📣 Pushed ${message.type} to ${notifyResult.delivered} connection(s) of ${description}`);
+    }
+  } catch (error) {
+    console.warn(`Could not push ${message.type} to ${description}:`, error);
+  }
+}
+
+/**
+ * Check a new job's browserId, pool and requiredTags; returns an error message or null
+ */
+function validateJobRouting(body: any): string | null {
+  if (body.browserId !== undefined && body.browserId !== null) {
+    const validation = validateBrowserId(body.browserId);
+    if (!validation.valid) {
+      return validation.error!;
+    }
+  }
+  if (body.pool !== undefined && body.pool !== null) {
+    const validation = validatePool(body.pool);
+    if (!validation.valid) {
+      return validation.error!;
+    }
+  }
+  if (body.requiredTags !== undefined && body.requiredTags !== null) {
+    const validation = validateTags(body.requiredTags, 'requiredTags');
+    if (!validation.valid) {
+      return validation.error!;
+    }
+  }
+  
+  if (!body.browserId && !body.pool && !body.requiredTags?.length) {
+    return 'One of browserId, pool or requiredTags is required';
+  }
+  return null;
+}
+
+function describeJobRouting(browserId: string | undefined, pool: string | undefined, requiredTags: string[] | null): string {
+  const targets = [
+    browserId && `browser ${browserId}`,
+    pool && `pool ${pool}`,
+    requiredTags && `tags ${requiredTags.join(', ')}`
+  ].filter(Boolean);
+  return targets.join(', ');
+}
+
 // Utility function for SHA-256 hashing
-async function generateSHA256(content: string): Promise<string> {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(content);
+export async function generateSHA256(content: string | ArrayBuffer): Promise<string> {
+  const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
@@ -0,0 +1,127 @@
+/**
+ * API Token Handlers
+ * Admin endpoints to mint, list and revoke scoped API tokens (routes require the admin scope)
+ */
+
+import { Env } from '../index';
+import { createSuccessResponse, createErrorResponse, validateJsonBody } from '../utils/http';
+import { generateApiToken, generateTokenId, getCurrentTimestamp } from '../utils/ids';
+import { API_SCOPES, hashSecret } from '../utils/auth';
+
+/**
+ * Create API Token - POST /admin/tokens
+ * The token is returned once; only its hash is stored
+ */
+export async function handleCreateApiToken(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await validateJsonBody(request, ['owner', 'permissions']);
+
+    if (typeof body.owner !== 'string' || !body.owner.trim() || body.owner.length > 100) {
+      return createErrorResponse('owner must be a non-empty string of at most 100 characters', 400);
+    }
+
+    if (!Array.isArray(body.permissions) || body.permissions.length === 0) {
+      return createErrorResponse('permissions must be a non-empty array of scopes', 400, { allowed: API_SCOPES });
+    }
+    const unknownScopes = body.permissions.filter((scope: any) => !(API_SCOPES as readonly string[]).includes(scope));
+    if (unknownScopes.length > 0) {
+      return createErrorResponse(`Unknown scopes: ${unknownScopes.join(', ')}`, 400, { allowed: API_SCOPES });
+    }
+
+    if (body.expiresInMs !== undefined && (!Number.isInteger(body.expiresInMs) || body.expiresInMs <= 0)) {
+      return createErrorResponse('expiresInMs must be a positive integer', 400);
+    }
+
+    const tokenId = generateTokenId();
+    const token = generateApiToken();
+    const now = getCurrentTimestamp();
+    const expiresAt = body.expiresInMs ? now + body.expiresInMs : null;
+    const permissions = [...new Set(body.permissions as string[])];
+
+    await env.DB.prepare(`
+      INSERT INTO api_tokens (token_id, token_hash, owner, permissions, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+      tokenId,
+      await hashSecret(token),
+      body.owner.trim(),
+      JSON.stringify(permissions),
+      expiresAt,
+      now
+    ).run();
+
+    console.log(`🔑 Minted API token ${tokenId} for ${body.owner} (${permissions.join(', ')})`);
+
+    return createSuccessResponse({
+      tokenId,
+      token,
+      owner: body.owner.trim(),
+      permissions,
+      expiresAt,
+      createdAt: now
+    }, 201);
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    return createErrorResponse('Failed to create API token', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * List API Tokens - GET /admin/tokens
+ */
+export async function handleListApiTokens(request: Request, env: Env): Promise<Response> {
+  try {
+    const result = await env.DB.prepare(`
+      SELECT token_id, owner, permissions, expires_at, created_at, last_used
+      FROM api_tokens
+      ORDER BY created_at DESC
+    `).all();
+
+    const now = getCurrentTimestamp();
+    const tokens = ((result.results || []) as any[]).map(row => ({
+      tokenId: row.token_id,
+      owner: row.owner,
+      permissions: JSON.parse(row.permissions || '[]'),
+      expiresAt: row.expires_at,
+      expired: row.expires_at !== null && row.expires_at <= now,
+      createdAt: row.created_at,
+      lastUsed: row.last_used
+    }));
+
+    return createSuccessResponse({ tokens });
+
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    return createErrorResponse('Failed to list API tokens', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Revoke API Token - DELETE /admin/tokens/:tokenId
+ */
+export async function handleRevokeApiToken(request: Request, env: Env): Promise<Response> {
+  try {
+    const url = new URL(request.url);
+    const tokenId = url.pathname.split('/').pop();
+
+    const result = await env.DB.prepare(`
+      DELETE FROM api_tokens WHERE token_id = ?
+    `).bind(tokenId).run();
+
+    if (!result.meta.changes) {
+      return createErrorResponse('API token not found', 404);
+    }
+
+    console.log(`🔑 Revoked API token ${tokenId}`);
+
+    return createSuccessResponse({
+      tokenId,
+      revoked: true
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    return createErrorResponse('Failed to revoke API token', 500, { error: (error as Error).message });
+  }
+}
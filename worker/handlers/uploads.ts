@@ -0,0 +1,472 @@
+/**
+ * Upload Handlers
+ * Signed single-request uploads and resumable upload sessions backed by R2 multipart uploads
+ */
+
+import { Env } from '../index';
+import { findLeasedJob, generateSHA256 } from './index';
+import { createSuccessResponse, createErrorResponse, validateJsonBody } from '../utils/http';
+import { generateUploadId, getCurrentTimestamp } from '../utils/ids';
+import { getSystemConfig } from '../utils/config';
+import { readDecodedBody, getCharset, ContentTooLargeError } from '../utils/encoding';
+import { verifyUploadToken } from '../utils/upload-tokens';
+import { authorizeBrowser, authorizeJobBrowser } from '../utils/auth';
+
+// R2 rejects multipart parts smaller than 5MB, except for the last one
+const MIN_PART_SIZE_BYTES = 5 * 1024 * 1024;
+const MAX_PART_NUMBER = 10000;
+
+const UPLOAD_EXTENSIONS: Record<string, string> = {
+  'text/html': 'html',
+  'multipart/related': 'mhtml',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Signed Upload - PUT /upload/:token
+ * Writes the body to the R2 key bound into a token from GET /upload-url
+ */
+export async function handleSignedUpload(request: Request, env: Env): Promise<Response> {
+  try {
+    const [, token] = getPathSegments(request);
+
+    if (!env.UPLOAD_SIGNING_KEY) {
+      return createErrorResponse('Signed uploads are not configured (UPLOAD_SIGNING_KEY)', 503);
+    }
+
+    const claims = token ? await verifyUploadToken(token, env.UPLOAD_SIGNING_KEY) : null;
+    if (!claims) {
+      return createErrorResponse('Invalid or expired upload token', 403);
+    }
+
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.toLowerCase() !== claims.contentType.toLowerCase()) {
+      return createErrorResponse(`Content-Type must be ${claims.contentType}`, 415);
+    }
+
+    const contentLength = Number(request.headers.get('Content-Length'));
+    if (contentLength > claims.maxBytes) {
+      return createErrorResponse(`Content exceeds the maximum size of ${claims.maxBytes} bytes`, 413);
+    }
+
+    // Tokens are only good while the lease they were issued under is held
+    const job = await findLeasedJob(env, claims.jobId, claims.leaseId);
+    if (!job) {
+      return createErrorResponse('Lease expired', 410);
+    }
+
+    if (!request.body) {
+      return createErrorResponse('Request body required', 400);
+    }
+
+    let bytes: Uint8Array;
+    try {
+      bytes = await readDecodedBody(request.body, 'identity', claims.maxBytes);
+    } catch (error) {
+      if (error instanceof ContentTooLargeError) {
+        return createErrorResponse(error.message, 413);
+      }
+      throw error;
+    }
+
+    if (bytes.length === 0) {
+      return createErrorResponse('Request body is empty', 400);
+    }
+
+    const sha256 = await generateSHA256(bytes.buffer as ArrayBuffer);
+
+    // POST /submit { r2Key } reads the hash back from the object metadata
+    await env.R2.put(claims.r2Key, bytes, {
+      httpMetadata: { contentType: claims.contentType },
+      customMetadata: { sha256, jobId: claims.jobId }
+    });
+
+    console.log(`📦 Signed upload for job ${claims.jobId} stored as ${claims.r2Key} (${bytes.length} bytes)`);
+
+    return createSuccessResponse({
+      r2Key: claims.r2Key,
+      sha256,
+      bytes: bytes.length
+    });
+
+  } catch (error) {
+    console.error('Signed upload error:', error);
+    return createErrorResponse('Failed to store upload', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Start Upload - POST /uploads
+ */
+export async function handleStartUpload(request: Request, env: Env): Promise<Response> {
+  try {
+    const body = await validateJsonBody(request, ['jobId', 'leaseId']);
+
+    const authError = await authorizeJobBrowser(request, env, body.jobId);
+    if (authError) {
+      return authError;
+    }
+
+    const job = await findLeasedJob(env, body.jobId, body.leaseId);
+    if (!job) {
+      return createErrorResponse('Invalid job or lease', 400);
+    }
+
+    const config = await getSystemConfig(env.DB);
+    if (body.totalBytes !== undefined) {
+      if (!Number.isInteger(body.totalBytes) || body.totalBytes < 0) {
+        return createErrorResponse('totalBytes must be a non-negative integer', 400);
+      }
+      if (body.totalBytes > config.max_upload_size_bytes) {
+        return createErrorResponse(`Upload exceeds the maximum size of ${config.max_upload_size_bytes} bytes`, 413);
+      }
+    }
+
+    const contentType = body.contentType || 'text/html; charset=utf-8';
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    const r2Key = `raw/${body.jobId}.${UPLOAD_EXTENSIONS[mimeType] || 'bin'}`;
+    const originalCharset = body.originalCharset || getCharset(contentType);
+    const partSize = Math.max(MIN_PART_SIZE_BYTES, config.upload_part_size_bytes);
+
+    // Sessions left open by earlier leases of this job can never be completed
+    await abortOpenUploads(env, body.jobId);
+
+    const multipart = await env.R2.createMultipartUpload(r2Key, {
+      httpMetadata: { contentType },
+      customMetadata: originalCharset ? { originalCharset } : undefined
+    });
+
+    const uploadId = generateUploadId();
+    const now = getCurrentTimestamp();
+
+    await env.DB.prepare(`
+      INSERT INTO upload_sessions (
+        upload_id, job_id, lease_id, r2_key, r2_upload_id, content_type,
+        original_charset, part_size, state, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)
+    `).bind(
+      uploadId,
+      body.jobId,
+      body.leaseId,
+      r2Key,
+      multipart.uploadId,
+      contentType,
+      originalCharset,
+      partSize,
+      now,
+      now
+    ).run();
+
+    console.log(`📦 Started upload ${uploadId} for job ${body.jobId} (${partSize} byte parts)`);
+
+    return createSuccessResponse({
+      uploadId,
+      jobId: body.jobId,
+      r2Key,
+      partSize,
+      maxBytes: config.max_upload_size_bytes,
+      state: 'open',
+      parts: []
+    }, 201);
+
+  } catch (error) {
+    console.error('Start upload error:', error);
+    return createErrorResponse('Failed to start upload', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Upload Part - PUT /uploads/:uploadId/parts/:partNumber
+ * The body is the raw part; X-Part-Sha256 carries its hex SHA-256
+ */
+export async function handleUploadPart(request: Request, env: Env): Promise<Response> {
+  try {
+    const [, uploadId, , partParam] = getPathSegments(request);
+    const partNumber = Number(partParam);
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+      return createErrorResponse(`Part number must be between 1 and ${MAX_PART_NUMBER}`, 400);
+    }
+
+    const expectedSha256 = request.headers.get('X-Part-Sha256')?.trim().toLowerCase();
+    if (!expectedSha256) {
+      return createErrorResponse('X-Part-Sha256 header required', 400);
+    }
+
+    const session = await findUploadSession(env, uploadId);
+    const sessionError = checkUploadWritable(session) || await authorizeBrowser(request, env, session!.browser_id);
+    if (sessionError) {
+      return sessionError;
+    }
+
+    if (!request.body) {
+      return createErrorResponse('Request body required', 400);
+    }
+
+    let bytes: Uint8Array;
+    try {
+      bytes = await readDecodedBody(request.body, 'identity', session!.part_size);
+    } catch (error) {
+      if (error instanceof ContentTooLargeError) {
+        return createErrorResponse(`Parts must not exceed ${session!.part_size} bytes`, 413);
+      }
+      throw error;
+    }
+
+    if (bytes.length === 0) {
+      return createErrorResponse('Request body is empty', 400);
+    }
+
+    const sha256 = await generateSHA256(bytes.buffer as ArrayBuffer);
+    if (sha256 !== expectedSha256) {
+      return createErrorResponse('Part checksum mismatch', 400, { expected: expectedSha256, actual: sha256 });
+    }
+
+    const config = await getSystemConfig(env.DB);
+    const otherParts = await env.DB.prepare(`
+      SELECT COALESCE(SUM(bytes), 0) as total FROM upload_parts WHERE upload_id = ? AND part_number != ?
+    `).bind(uploadId, partNumber).first();
+
+    if ((otherParts?.total as number || 0) + bytes.length > config.max_upload_size_bytes) {
+      return createErrorResponse(`Upload exceeds the maximum size of ${config.max_upload_size_bytes} bytes`, 413);
+    }
+
+    const multipart = env.R2.resumeMultipartUpload(session!.r2_key, session!.r2_upload_id);
+    const uploadedPart = await multipart.uploadPart(partNumber, bytes);
+    const now = getCurrentTimestamp();
+
+    // Re-sending a part replaces it, so retries after a lost response are safe
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT OR REPLACE INTO upload_parts (upload_id, part_number, etag, sha256, bytes, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(uploadId, partNumber, uploadedPart.etag, sha256, bytes.length, now),
+
+      env.DB.prepare(`
+        UPDATE upload_sessions SET updated_at = ? WHERE upload_id = ?
+      `).bind(now, uploadId)
+    ]);
+
+    return createSuccessResponse({
+      uploadId,
+      partNumber,
+      sha256,
+      bytes: bytes.length
+    });
+
+  } catch (error) {
+    console.error('Upload part error:', error);
+    return createErrorResponse('Failed to upload part', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Get Upload - GET /uploads/:uploadId
+ * Lists the acknowledged parts so an interrupted upload can resume
+ */
+export async function handleGetUpload(request: Request, env: Env): Promise<Response> {
+  try {
+    const [, uploadId] = getPathSegments(request);
+
+    const session = await findUploadSession(env, uploadId);
+    if (!session) {
+      return createErrorResponse('Upload not found', 404);
+    }
+
+    const authError = await authorizeBrowser(request, env, session.browser_id);
+    if (authError) {
+      return authError;
+    }
+
+    const parts = await listUploadParts(env, uploadId);
+
+    return createSuccessResponse({
+      uploadId,
+      jobId: session.job_id,
+      r2Key: session.r2_key,
+      partSize: session.part_size,
+      state: session.state,
+      sha256: session.sha256,
+      bytes: session.bytes,
+      parts: parts.map(part => ({
+        partNumber: part.part_number,
+        sha256: part.sha256,
+        bytes: part.bytes
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    return createErrorResponse('Failed to get upload', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Complete Upload - POST /uploads/:uploadId/complete
+ * Assembles the parts in R2; submit the result with POST /submit { uploadId }
+ */
+export async function handleCompleteUpload(request: Request, env: Env): Promise<Response> {
+  try {
+    const [, uploadId] = getPathSegments(request);
+
+    const session = await findUploadSession(env, uploadId);
+    const sessionError = checkUploadWritable(session) || await authorizeBrowser(request, env, session!.browser_id);
+    if (sessionError) {
+      return sessionError;
+    }
+
+    const parts = await listUploadParts(env, uploadId);
+    if (parts.length === 0) {
+      return createErrorResponse('Upload has no parts', 400);
+    }
+
+    // R2 requires consecutive parts of equal size, with only the last one allowed to be smaller
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i].part_number !== i + 1) {
+        return createErrorResponse(`Missing part ${i + 1}`, 400);
+      }
+      if (i < parts.length - 1 && parts[i].bytes !== session!.part_size) {
+        return createErrorResponse(`Part ${i + 1} must be ${session!.part_size} bytes`, 400);
+      }
+    }
+
+    const multipart = env.R2.resumeMultipartUpload(session!.r2_key, session!.r2_upload_id);
+    const object = await multipart.complete(parts.map(part => ({
+      partNumber: part.part_number,
+      etag: part.etag
+    })));
+
+    // Part checksums only cover the pieces; hash the assembled object for the artifact record
+    const sha256 = await hashR2Object(env, session!.r2_key);
+    const now = getCurrentTimestamp();
+
+    await env.DB.prepare(`
+      UPDATE upload_sessions SET state = 'completed', sha256 = ?, bytes = ?, updated_at = ?
+      WHERE upload_id = ?
+    `).bind(sha256, object.size, now, uploadId).run();
+
+    console.log(`📦 Completed upload ${uploadId} for job ${session!.job_id}: ${parts.length} parts, ${object.size} bytes`);
+
+    return createSuccessResponse({
+      uploadId,
+      jobId: session!.job_id,
+      r2Key: session!.r2_key,
+      sha256,
+      bytes: object.size,
+      state: 'completed'
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    return createErrorResponse('Failed to complete upload', 500, { error: (error as Error).message });
+  }
+}
+
+/**
+ * Abort Upload - DELETE /uploads/:uploadId
+ */
+export async function handleAbortUpload(request: Request, env: Env): Promise<Response> {
+  try {
+    const [, uploadId] = getPathSegments(request);
+
+    const session = await findUploadSession(env, uploadId);
+    if (!session) {
+      return createErrorResponse('Upload not found', 404);
+    }
+
+    const authError = await authorizeBrowser(request, env, session.browser_id);
+    if (authError) {
+      return authError;
+    }
+    if (session.state !== 'open') {
+      return createErrorResponse(`Upload is already ${session.state}`, 409);
+    }
+
+    await abortUploadSession(env, session);
+
+    return createSuccessResponse({
+      uploadId,
+      state: 'aborted'
+    });
+
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    return createErrorResponse('Failed to abort upload', 500, { error: (error as Error).message });
+  }
+}
+
+function getPathSegments(request: Request): string[] {
+  return new URL(request.url).pathname.split('/').filter(Boolean);
+}
+
+async function findUploadSession(env: Env, uploadId: string): Promise<Record<string, any> | null> {
+  return env.DB.prepare(`
+    SELECT s.*, COALESCE(j.leased_by, j.browser_id) as browser_id, j.state as job_state, j.lease_id as job_lease_id
+    FROM upload_sessions s
+    JOIN jobs j ON j.job_id = s.job_id
+    WHERE s.upload_id = ?
+  `).bind(uploadId).first();
+}
+
+async function listUploadParts(env: Env, uploadId: string): Promise<Record<string, any>[]> {
+  const result = await env.DB.prepare(`
+    SELECT part_number, etag, sha256, bytes FROM upload_parts
+    WHERE upload_id = ?
+    ORDER BY part_number
+  `).bind(uploadId).all();
+  return (result.results || []) as Record<string, any>[];
+}
+
+/**
+ * Parts can only be added while the session is open and the job is still held by its lease
+ */
+function checkUploadWritable(session: Record<string, any> | null): Response | null {
+  if (!session) {
+    return createErrorResponse('Upload not found', 404);
+  }
+  if (session.state !== 'open') {
+    return createErrorResponse(`Upload is already ${session.state}`, 409);
+  }
+  if (session.job_state !== 'leased' || session.job_lease_id !== session.lease_id) {
+    return createErrorResponse('Lease expired', 410);
+  }
+  return null;
+}
+
+async function abortUploadSession(env: Env, session: Record<string, any>): Promise<void> {
+  try {
+    await env.R2.resumeMultipartUpload(session.r2_key, session.r2_upload_id).abort();
+  } catch (error) {
+    // Already aborted or expired in R2
+    console.warn(`Could not abort R2 upload for ${session.upload_id}:`, (error as Error).message);
+  }
+
+  await env.DB.prepare(`
+    UPDATE upload_sessions SET state = 'aborted', updated_at = ? WHERE upload_id = ?
+  `).bind(getCurrentTimestamp(), session.upload_id).run();
+}
+
+async function abortOpenUploads(env: Env, jobId: string): Promise<void> {
+  const result = await env.DB.prepare(`
+    SELECT upload_id, r2_key, r2_upload_id FROM upload_sessions WHERE job_id = ? AND state = 'open'
+  `).bind(jobId).all();
+
+  for (const session of (result.results || []) as Record<string, any>[]) {
+    await abortUploadSession(env, session);
+  }
+}
+
+async function hashR2Object(env: Env, r2Key: string): Promise<string> {
+  const object = await env.R2.get(r2Key);
+  if (!object) {
+    throw new Error(`R2 object not found: ${r2Key}`);
+  }
+
+  // Stream the object through a digest so large uploads are never held in memory
+  // (@types/node's Crypto type shadows the Workers one, which declares DigestStream)
+  const { DigestStream: WorkersDigestStream } = crypto as unknown as { DigestStream: typeof DigestStream };
+  const digestStream = new WorkersDigestStream('SHA-256');
+  await object.body.pipeTo(digestStream);
+  const hashArray = Array.from(new Uint8Array(await digestStream.digest));
+  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
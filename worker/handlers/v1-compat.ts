@@ -12,6 +12,7 @@ import {
 } from './index';
 import { createSuccessResponse, createErrorResponse, getQueryParams } from '../utils/http';
 import { validateBrowserId } from '../utils/validation';
+import { encodeBase64 } from '../utils/encoding';
 
 /**
  * V1 Check Task - POST /api/check-task
@@ -33,7 +34,7 @@ export async function handleCheckTask(request: Request, env: Env): Promise<Respo
     // Use the new lease system but return in v1 format
     const leaseRequest = new Request(request.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: forwardAuthHeaders(request),
       body: JSON.stringify({
         browserId: body.browserId,
         max: 1
@@ -109,13 +110,12 @@ export async function handleReportTask(request: Request, env: Env): Promise<Resp
     // Convert to v2 submit format
     const submitRequest = new Request(request.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: forwardAuthHeaders(request),
       body: JSON.stringify({
         jobId,
         leaseId: job.lease_id,
         contentType: 'text/html; charset=utf-8',
-        size: htmlContent.length,
-        htmlBase64: btoa(htmlContent)
+        htmlBase64: encodeBase64(new TextEncoder().encode(htmlContent))
       })
     });
     
@@ -244,3 +244,15 @@ export async function handleEnqueueTask(request: Request, env: Env): Promise<Res
     return createErrorResponse('Failed to enqueue task', 500, { error: (error as Error).message });
   }
 }
+
+/**
+ * Headers for a v2 request built from a v1 one, keeping the caller's browser token
+ */
+function forwardAuthHeaders(request: Request): Record<string, string> {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  const authorization = request.headers.get('Authorization');
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  }
+  return headers;
+}
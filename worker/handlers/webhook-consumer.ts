@@ -8,14 +8,14 @@ import { createWebhookSignature } from '../utils/http';
 
 export interface WebhookMessage {
   job_id: string;
-  phase: 'ingested' | 'parsed';
+  phase: 'ingested' | 'parsed' | 'failed';
   callback_url: string;
   callback_secret_id?: string;
 }
 
 export interface WebhookPayload {
   job_id: string;
-  phase: 'ingested' | 'parsed';
+  phase: 'ingested' | 'parsed' | 'failed';
   browser_id: string;
   url: string;
   content_type: string;
@@ -30,11 +30,22 @@ export interface WebhookPayload {
       sha256: string;
       bytes: number;
     };
+    screenshot?: {
+      r2_key: string;
+      sha256: string;
+      bytes: number;
+      content_type: string;
+    };
+  };
+  error?: {
+    message: string;
+    attempts: number;
   };
   timestamps: {
     created_at: number;
     ingested_at?: number;
     parsed_at?: number;
+    failed_at?: number;
   };
 }
 
@@ -74,7 +85,8 @@ async function processWebhookMessage(
   // Get job details from D1
   const job = await env.DB.prepare(`
     SELECT j.*, a.raw_r2_key, a.raw_sha256, a.raw_bytes, 
-           a.parsed_r2_key, a.parsed_sha256, a.parsed_bytes
+           a.parsed_r2_key, a.parsed_sha256, a.parsed_bytes,
+           a.screenshot_r2_key, a.screenshot_sha256, a.screenshot_bytes, a.screenshot_content_type
     FROM jobs j
     LEFT JOIN artifacts a ON j.job_id = a.job_id
     WHERE j.job_id = ?
@@ -197,8 +209,8 @@ async function processWebhookMessage(
 async function buildWebhookPayload(job: any, phase: string): Promise<WebhookPayload> {
   const payload: WebhookPayload = {
     job_id: job.job_id,
-    phase: phase as 'ingested' | 'parsed',
-    browser_id: job.browser_id,
+    phase: phase as 'ingested' | 'parsed' | 'failed',
+    browser_id: job.leased_by || job.browser_id, // pool jobs have no pinned browser
     url: job.url,
     content_type: job.content_type,
     artifacts: {},
@@ -207,6 +219,15 @@ async function buildWebhookPayload(job: any, phase: string): Promise<WebhookPayl
     }
   };
 
+  // Dead-lettered jobs report their last error; any partial page is listed below
+  if (phase === 'failed') {
+    payload.error = {
+      message: job.error_message,
+      attempts: job.attempts
+    };
+    payload.timestamps.failed_at = job.updated_at;
+  }
+
   // Add raw HTML artifact if available
   if (job.raw_r2_key) {
     payload.artifacts.raw_html = {
@@ -217,6 +238,17 @@ async function buildWebhookPayload(job: any, phase: string): Promise<WebhookPayl
     payload.timestamps.ingested_at = job.updated_at;
   }
 
+  // Add screenshot artifact if available
+  if (job.screenshot_r2_key) {
+    payload.artifacts.screenshot = {
+      r2_key: job.screenshot_r2_key,
+      sha256: job.screenshot_sha256,
+      bytes: job.screenshot_bytes,
+      content_type: job.screenshot_content_type
+    };
+    payload.timestamps.ingested_at = job.updated_at;
+  }
+
   // Add parsed data artifact if available
   if (job.parsed_r2_key) {
     payload.artifacts.parsed_data = {
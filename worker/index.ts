@@ -6,12 +6,18 @@
 import { Router } from 'itty-router';
 import { 
   handleCreateTask,
+  handleCancelTask,
   handleLease,
+  handleConnect,
+  handleBrowserConfig,
   handleHeartbeat,
   handleSubmit,
+  handleSubmitRaw,
+  handleFail,
   handleUploadUrl,
   handleStatus,
   handleArtifacts,
+  handleBrowserJob,
   handleStats,
   handleHealth
 } from './handlers';
@@ -21,6 +27,30 @@ import {
   handleEnqueueGetPageHtml,
   handleEnqueueTask
 } from './handlers/v1-compat';
+import {
+  handleSignedUpload,
+  handleStartUpload,
+  handleUploadPart,
+  handleGetUpload,
+  handleCompleteUpload,
+  handleAbortUpload
+} from './handlers/uploads';
+import {
+  handleCreateEnrollmentCode,
+  handleRegisterBrowser,
+  handleRevokeBrowser,
+  handleGetBrowserSettings,
+  handleUpdateBrowserSettings,
+  handlePauseBrowser,
+  handleDrainBrowser,
+  handleResumeBrowser
+} from './handlers/browsers';
+import {
+  handleCreateApiToken,
+  handleListApiTokens,
+  handleRevokeApiToken
+} from './handlers/tokens';
+import { requireScope } from './utils/auth';
 import { corsHeaders, createErrorResponse, createSuccessResponse } from './utils/http';
 
 // Types for Cloudflare Worker environment
@@ -45,6 +75,7 @@ export interface Env {
   DATABASE_URL?: string;
   WEBHOOK_SECRET_KEY?: string;
   API_SECRET_KEY?: string;
+  UPLOAD_SIGNING_KEY?: string;
 }
 
 // Create router
@@ -54,21 +85,49 @@ const router = Router();
 router.get('/health', handleHealth);
 
 // V2 API endpoints (preferred)
-router.post('/tasks', handleCreateTask);
+// Producer routes take a scoped API token; browser routes check the browser token in their handlers
+router.post('/tasks', requireScope('tasks:write'), handleCreateTask);
+router.delete('/tasks/:jobId', requireScope('tasks:write'), handleCancelTask);
 router.post('/lease', handleLease);
+router.get('/connect', handleConnect);
+router.get('/browser-config', handleBrowserConfig);
 router.post('/heartbeat', handleHeartbeat);
 router.post('/submit', handleSubmit);
+router.post('/submit/raw', handleSubmitRaw);
+router.post('/fail', handleFail);
 router.get('/upload-url', handleUploadUrl);
-router.get('/status/:jobId', handleStatus);
-router.get('/artifacts/:jobId', handleArtifacts);
-router.get('/stats', handleStats);
+router.put('/upload/:token', handleSignedUpload);
+router.post('/uploads', handleStartUpload);
+router.put('/uploads/:uploadId/parts/:partNumber', handleUploadPart);
+router.get('/uploads/:uploadId', handleGetUpload);
+router.post('/uploads/:uploadId/complete', handleCompleteUpload);
+router.delete('/uploads/:uploadId', handleAbortUpload);
+router.get('/status/:jobId', requireScope('tasks:read'), handleStatus);
+router.get('/artifacts/:jobId', requireScope('artifacts:read'), handleArtifacts);
+router.get('/browser-jobs/:jobId', handleBrowserJob);
+router.get('/stats', requireScope('stats:read'), handleStats);
+
+// Browser registration
+router.post('/register', handleRegisterBrowser);
+router.post('/admin/enrollment-codes', requireScope('admin'), handleCreateEnrollmentCode);
+router.delete('/admin/browsers/:browserId', requireScope('admin'), handleRevokeBrowser);
+router.get('/admin/browsers/:browserId/config', requireScope('admin'), handleGetBrowserSettings);
+router.put('/admin/browsers/:browserId/config', requireScope('admin'), handleUpdateBrowserSettings);
+router.post('/admin/browsers/:browserId/pause', requireScope('admin'), handlePauseBrowser);
+router.post('/admin/browsers/:browserId/drain', requireScope('admin'), handleDrainBrowser);
+router.post('/admin/browsers/:browserId/resume', requireScope('admin'), handleResumeBrowser);
+
+// API token administration
+router.post('/admin/tokens', requireScope('admin'), handleCreateApiToken);
+router.get('/admin/tokens', requireScope('admin'), handleListApiTokens);
+router.delete('/admin/tokens/:tokenId', requireScope('admin'), handleRevokeApiToken);
 
 // V1 compatibility endpoints
 router.post('/api/check-task', handleCheckTask);
 router.post('/api/report-task', handleReportTask);
-router.get('/api/enqueue-get-page-html', handleEnqueueGetPageHtml);
-router.post('/api/enqueue-task', handleEnqueueTask);
-router.get('/api/stats', handleStats); // Same as v2
+router.get('/api/enqueue-get-page-html', requireScope('tasks:write'), handleEnqueueGetPageHtml);
+router.post('/api/enqueue-task', requireScope('tasks:write'), handleEnqueueTask);
+router.get('/api/stats', requireScope('stats:read'), handleStats); // Same as v2
 
 // CORS preflight
 router.options('*', () => new Response(null, { headers: corsHeaders }));
@@ -83,6 +142,11 @@ export default {
       // Add CORS headers to all responses
       const response = await router.handle(request, env, ctx);
       
+      // WebSocket upgrades are returned as-is
+      if (response.status === 101) {
+        return response;
+      }
+      
       // Add CORS headers
       Object.entries(corsHeaders).forEach(([key, value]) => {
         response.headers.set(key, value);
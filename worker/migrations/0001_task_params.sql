@@ -0,0 +1,2 @@
+-- Optional task parameters (paramsJson) handed to the extension's task handler
+ALTER TABLE jobs ADD COLUMN params_json TEXT;
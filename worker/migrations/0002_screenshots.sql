@@ -0,0 +1,5 @@
+-- Screenshot artifacts stored next to the raw HTML under screenshots/
+ALTER TABLE artifacts ADD COLUMN screenshot_r2_key TEXT;
+ALTER TABLE artifacts ADD COLUMN screenshot_sha256 TEXT;
+ALTER TABLE artifacts ADD COLUMN screenshot_bytes INTEGER;
+ALTER TABLE artifacts ADD COLUMN screenshot_content_type TEXT;
@@ -0,0 +1,2 @@
+-- JSON capture details: readiness conditions met, wait time, original charset
+ALTER TABLE artifacts ADD COLUMN capture_meta TEXT;
@@ -0,0 +1,35 @@
+-- Resumable chunked uploads backed by R2 multipart uploads
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  upload_id TEXT PRIMARY KEY,
+  job_id TEXT NOT NULL,
+  lease_id TEXT NOT NULL,            -- lease the upload was started under
+  r2_key TEXT NOT NULL,              -- e.g. raw/j_abcd.html
+  r2_upload_id TEXT NOT NULL,        -- R2 multipart upload ID
+  content_type TEXT NOT NULL,
+  original_charset TEXT,
+  part_size INTEGER NOT NULL,        -- every part but the last must be exactly this size
+  state TEXT NOT NULL,               -- open|completed|aborted
+  sha256 TEXT,                       -- of the assembled object, set on completion
+  bytes INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (job_id) REFERENCES jobs(job_id)
+);
+
+-- Parts acknowledged for each upload session
+CREATE TABLE IF NOT EXISTS upload_parts (
+  upload_id TEXT NOT NULL,
+  part_number INTEGER NOT NULL,      -- 1-based
+  etag TEXT NOT NULL,                -- returned by R2, needed to complete the upload
+  sha256 TEXT NOT NULL,
+  bytes INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (upload_id, part_number),
+  FOREIGN KEY (upload_id) REFERENCES upload_sessions(upload_id)
+);
+
+CREATE INDEX IF NOT EXISTS upload_sessions_job_idx ON upload_sessions(job_id, state);
+
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('upload_part_size_bytes', '8388608', 'number', 'Chunked upload part size (8MB, R2 minimum is 5MB)', strftime('%s', 'now') * 1000),
+('max_upload_size_bytes', '524288000', 'number', 'Max chunked upload size (500MB)', strftime('%s', 'now') * 1000);
@@ -0,0 +1,3 @@
+-- Lifetime of the signed URLs issued by GET /upload-url
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('upload_token_ttl_ms', '900000', 'number', 'Signed upload URL lifetime (15 min)', strftime('%s', 'now') * 1000);
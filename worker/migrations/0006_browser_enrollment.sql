@@ -0,0 +1,16 @@
+-- One-time enrollment codes, exchanged for a browser token by POST /register
+CREATE TABLE IF NOT EXISTS enrollment_codes (
+  code_hash TEXT PRIMARY KEY,        -- SHA-256 of the code
+  browser_id TEXT,                   -- optional; restricts the code to one browser
+  tenant_id TEXT,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  used_by TEXT,                      -- browser_id that redeemed the code
+  created_at INTEGER NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS browser_auth_token_idx ON browser_auth(auth_token_hash);
+
+-- Browsers that haven't registered yet are rejected; set this to false while they enroll
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('require_browser_auth', 'true', 'boolean', 'Reject browser requests without a registered browser token', strftime('%s', 'now') * 1000);
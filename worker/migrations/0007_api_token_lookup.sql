@@ -0,0 +1,2 @@
+-- API tokens are looked up by the SHA-256 of the bearer token
+CREATE UNIQUE INDEX IF NOT EXISTS api_tokens_hash_idx ON api_tokens(token_hash);
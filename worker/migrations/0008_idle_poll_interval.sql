@@ -0,0 +1,3 @@
+-- Poll interval suggested to browsers when there is nothing to lease
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('idle_poll_interval_ms', '60000', 'number', 'nextPollMs returned by /lease when the queue is empty (1 min)', strftime('%s', 'now') * 1000);
@@ -0,0 +1,12 @@
+-- Per-browser overrides of the fleet-wide browser config in system_config
+CREATE TABLE IF NOT EXISTS browser_settings (
+  browser_id TEXT PRIMARY KEY,
+  config_json TEXT NOT NULL,         -- JSON object: paused, draining, pollIntervalMs, concurrency, enabledTaskTypes
+  updated_at INTEGER NOT NULL
+);
+
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('browsers_paused', 'false', 'boolean', 'Stop leasing to every browser', strftime('%s', 'now') * 1000),
+('browser_poll_interval_ms', 'null', 'json', 'Longest poll interval for browsers; null leaves it to each profile', strftime('%s', 'now') * 1000),
+('browser_concurrency', 'null', 'json', 'Parallel tasks per browser; null leaves it to each profile', strftime('%s', 'now') * 1000),
+('enabled_task_types', 'null', 'json', 'JSON array of task names browsers may lease; null allows all', strftime('%s', 'now') * 1000);
@@ -0,0 +1,3 @@
+-- Retry strategy applied to failed attempts (POST /fail and expired leases)
+INSERT OR IGNORE INTO system_config (config_key, config_value, config_type, description, updated_at) VALUES
+('retry_policies', '{"default":{"strategy":"backoff","baseDelayMs":60000,"maxDelayMs":3600000}}', 'json', 'Retry strategy (immediate|backoff|none) by default, categories, contentTypes and taskTypes', strftime('%s', 'now') * 1000);
@@ -0,0 +1,52 @@
+-- Jobs can go to a pool of browsers with required tags instead of one browser,
+-- so browser_id becomes nullable. SQLite can't drop NOT NULL from a column in place,
+-- so the table is rebuilt. The rows are set aside and inserted into the new jobs table
+-- (rather than renaming a copy), so the artifacts, retries and callbacks that reference
+-- them are matched again before the deferred foreign key check at the end.
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE jobs_old AS SELECT * FROM jobs;
+DROP TABLE jobs;
+
+CREATE TABLE jobs (
+  job_id TEXT PRIMARY KEY,
+  browser_id TEXT,                   -- pins the job to one browser; NULL lets any matching browser lease it
+  pool TEXT,                         -- only browsers in this pool may lease it
+  required_tags TEXT,                -- JSON array; the leasing browser must advertise all of them
+  leased_by TEXT,                    -- browser holding (or that last held) the lease
+  task_name TEXT NOT NULL,           -- e.g. "Get Page HTML"
+  url TEXT NOT NULL,
+  content_type TEXT,                 -- formerly tableName (e.g. "resumes")
+  state TEXT NOT NULL,               -- queued|leased|fetched|parsed|delivered|failed|cancelled (failed = dead letter)
+  priority INTEGER DEFAULT 0,
+  params_json TEXT,                  -- optional task parameters (paramsJson)
+  attempts INTEGER DEFAULT 0,
+  lease_id TEXT,
+  lease_until INTEGER,               -- epoch ms
+  callback_url TEXT,                 -- optional
+  callback_secret_id TEXT,           -- optional; resolves to HMAC key
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  error_message TEXT
+);
+
+-- Every existing job is pinned, so its browser is also the one that leased it
+INSERT INTO jobs (
+  job_id, browser_id, pool, required_tags, leased_by, task_name, url, content_type, state,
+  priority, params_json, attempts, lease_id, lease_until, callback_url, callback_secret_id,
+  created_at, updated_at, error_message
+)
+SELECT
+  job_id, browser_id, NULL, NULL, CASE WHEN state = 'queued' THEN NULL ELSE browser_id END,
+  task_name, url, content_type, state,
+  priority, params_json, attempts, lease_id, lease_until, callback_url, callback_secret_id,
+  created_at, updated_at, error_message
+FROM jobs_old;
+
+DROP TABLE jobs_old;
+
+CREATE INDEX jobs_state_idx ON jobs(state, priority, created_at);
+CREATE INDEX jobs_browser_idx ON jobs(browser_id, state, created_at);
+CREATE INDEX jobs_pool_idx ON jobs(pool, state, created_at) WHERE browser_id IS NULL;
+CREATE INDEX jobs_lease_idx ON jobs(lease_until) WHERE state = 'leased';
+CREATE INDEX jobs_url_idx ON jobs(url, content_type);
@@ -0,0 +1,191 @@
+/**
+ * Authentication Utilities
+ * Per-browser tokens (browser_auth) and scoped API tokens (api_tokens) for producers and admins
+ */
+
+import { Env } from '../index';
+import { createErrorResponse, getBearerToken } from './http';
+import { getSystemConfig } from './config';
+import { getCurrentTimestamp } from './ids';
+
+// last_seen/last_used are only rewritten when older than this, so polling doesn't write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Scopes an API token can be granted; admin implies all of them
+ */
+export const API_SCOPES = ['tasks:write', 'tasks:read', 'artifacts:read', 'stats:read', 'admin'] as const;
+export type ApiScope = typeof API_SCOPES[number];
+
+export interface ApiTokenIdentity {
+  tokenId: string;
+  owner: string;
+  permissions: string[];
+}
+
+export interface BrowserIdentity {
+  browserId: string;
+  tenantId: string | null;
+}
+
+/**
+ * SHA-256 hex digest of a token or enrollment code; only hashes are stored
+ */
+export async function hashSecret(secret: string): Promise<string> {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Resolve the bearer token to a registered browser, or null when it is missing or unknown
+ */
+export async function authenticateBrowser(request: Request, env: Env): Promise<BrowserIdentity | null> {
+  const token = getBearerToken(request);
+  if (!token) {
+    return null;
+  }
+
+  const browser = await env.DB.prepare(`
+    SELECT browser_id, tenant_id, last_seen FROM browser_auth WHERE auth_token_hash = ?
+  `).bind(await hashSecret(token)).first();
+
+  if (!browser) {
+    return null;
+  }
+
+  const now = getCurrentTimestamp();
+  if (!browser.last_seen || now - (browser.last_seen as number) > LAST_SEEN_RESOLUTION_MS) {
+    await env.DB.prepare(`
+      UPDATE browser_auth SET last_seen = ? WHERE browser_id = ?
+    `).bind(now, browser.browser_id).run();
+  }
+
+  return {
+    browserId: browser.browser_id as string,
+    tenantId: browser.tenant_id as string | null
+  };
+}
+
+/**
+ * Check that the request carries the token of the given browser.
+ * Returns an error response, or null when the request may proceed.
+ */
+export async function authorizeBrowser(request: Request, env: Env, browserId: string): Promise<Response | null> {
+  const hasToken = Boolean(getBearerToken(request));
+
+  if (!hasToken) {
+    // Unauthenticated browsers are only let through while require_browser_auth is off (during rollout)
+    const config = await getSystemConfig(env.DB);
+    return config.require_browser_auth
+      ? createErrorResponse('Browser token required', 401)
+      : null;
+  }
+
+  const browser = await authenticateBrowser(request, env);
+  if (!browser) {
+    return createErrorResponse('Invalid browser token', 401);
+  }
+  if (browser.browserId !== browserId) {
+    return createErrorResponse(`Token does not belong to browser ${browserId}`, 403);
+  }
+
+  return null;
+}
+
+/**
+ * Check that the request carries the token of the browser that leased a job (or, before
+ * it is leased, the browser it is pinned to). Unknown jobs pass through so the handler can report them.
+ */
+export async function authorizeJobBrowser(request: Request, env: Env, jobId: string): Promise<Response | null> {
+  const job = await env.DB.prepare(`
+    SELECT COALESCE(leased_by, browser_id) AS browser_id FROM jobs WHERE job_id = ?
+  `).bind(jobId).first();
+
+  if (!job) {
+    return null;
+  }
+  if (!job.browser_id) {
+    return createErrorResponse('Job is not leased by any browser', 403);
+  }
+
+  return authorizeBrowser(request, env, job.browser_id as string);
+}
+
+/**
+ * Resolve the bearer token to an API token. API_SECRET_KEY acts as a built-in admin token
+ * so the first real tokens can be minted.
+ */
+export async function authenticateApiToken(request: Request, env: Env): Promise<ApiTokenIdentity | null> {
+  const token = getBearerToken(request);
+  if (!token) {
+    return null;
+  }
+
+  if (env.API_SECRET_KEY && timingSafeEqual(token, env.API_SECRET_KEY)) {
+    return { tokenId: 'api_secret_key', owner: 'API_SECRET_KEY', permissions: ['admin'] };
+  }
+
+  const now = getCurrentTimestamp();
+  const apiToken = await env.DB.prepare(`
+    SELECT token_id, owner, permissions, last_used FROM api_tokens
+    WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > ?)
+  `).bind(await hashSecret(token), now).first();
+
+  if (!apiToken) {
+    return null;
+  }
+
+  if (!apiToken.last_used || now - (apiToken.last_used as number) > LAST_SEEN_RESOLUTION_MS) {
+    await env.DB.prepare(`
+      UPDATE api_tokens SET last_used = ? WHERE token_id = ?
+    `).bind(now, apiToken.token_id).run();
+  }
+
+  let permissions: string[] = [];
+  try {
+    permissions = JSON.parse(apiToken.permissions as string);
+  } catch (error) {
+    console.warn(`Invalid permissions JSON on API token ${apiToken.token_id}`);
+  }
+
+  return {
+    tokenId: apiToken.token_id as string,
+    owner: apiToken.owner as string,
+    permissions
+  };
+}
+
+/**
+ * Router middleware requiring an API token with the given scope.
+ * Returns nothing to let the route continue, with the token on request.apiToken.
+ */
+export function requireScope(scope: ApiScope) {
+  return async (request: Request, env: Env): Promise<Response | undefined> => {
+    const apiToken = await authenticateApiToken(request, env);
+    if (!apiToken) {
+      return createErrorResponse('API token required', 401);
+    }
+
+    if (!apiToken.permissions.includes(scope) && !apiToken.permissions.includes('admin')) {
+      return createErrorResponse(`API token lacks the ${scope} scope`, 403, { requiredScope: scope });
+    }
+
+    (request as any).apiToken = apiToken;
+    return undefined;
+  };
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+  const aBytes = new TextEncoder().encode(a);
+  const bBytes = new TextEncoder().encode(b);
+
+  if (aBytes.length !== bBytes.length) {
+    return false;
+  }
+
+  let result = 0;
+  for (let i = 0; i < aBytes.length; i++) {
+    result |= aBytes[i] ^ bBytes[i];
+  }
+  return result === 0;
+}
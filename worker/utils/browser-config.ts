@@ -0,0 +1,125 @@
+/**
+ * Browser Config Utilities
+ * The effective config a browser applies: fleet-wide values from system_config with
+ * per-browser overrides from browser_settings. Returned by /lease and GET /browser-config.
+ */
+
+import { getSystemConfig } from './config';
+import { validateTaskTypes } from './validation';
+
+export interface BrowserConfig {
+  paused: boolean;
+  draining: boolean; // like paused, but the browser's running tasks keep their leases
+  pollIntervalMs: number | null; // null: the browser uses its own profile setting
+  concurrency: number | null;
+  enabledTaskTypes: string[] | null; // null: every task type
+  heartbeatIntervalMs: number;
+  leaseDurationMs: number;
+  maxContentBytes: number;
+  maxUploadBytes: number;
+  idlePollIntervalMs: number; // nextPollMs suggested when there is nothing to lease
+}
+
+/**
+ * Fields that can be overridden per browser
+ */
+export type BrowserConfigOverrides = Partial<Pick<BrowserConfig, 'paused' | 'draining' | 'pollIntervalMs' | 'concurrency' | 'enabledTaskTypes'>>;
+
+const MIN_POLL_INTERVAL_MS = 5 * 1000;
+const MAX_POLL_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_CONCURRENCY = 10; // The lease endpoint hands out at most 10 tasks per request
+
+/**
+ * Load the effective config for a browser
+ */
+export async function getBrowserConfig(db: D1Database, browserId: string): Promise<BrowserConfig> {
+  const config = await getSystemConfig(db);
+
+  const fleetConfig: BrowserConfig = {
+    paused: config.browsers_paused,
+    draining: false,
+    pollIntervalMs: config.browser_poll_interval_ms,
+    concurrency: config.browser_concurrency,
+    enabledTaskTypes: config.enabled_task_types,
+    heartbeatIntervalMs: config.heartbeat_interval_ms,
+    leaseDurationMs: config.lease_duration_ms,
+    maxContentBytes: config.max_content_size_bytes,
+    maxUploadBytes: config.max_upload_size_bytes,
+    idlePollIntervalMs: config.idle_poll_interval_ms
+  };
+
+  const settings = await db.prepare(`
+    SELECT config_json FROM browser_settings WHERE browser_id = ?
+  `).bind(browserId).first();
+
+  if (!settings) {
+    return fleetConfig;
+  }
+
+  try {
+    const overrides: BrowserConfigOverrides = JSON.parse(settings.config_json as string);
+    const setOverrides = Object.entries(overrides).filter(([, value]) => value !== null && value !== undefined);
+    return { ...fleetConfig, ...Object.fromEntries(setOverrides) };
+  } catch (error) {
+    console.warn(`Invalid browser_settings for ${browserId}, using fleet config`);
+    return fleetConfig;
+  }
+}
+
+/**
+ * Validate per-browser overrides set through PUT /admin/browsers/:browserId/config; null clears
+ * an override back to the fleet value. paused and draining are only set by the pause, drain and
+ * resume endpoints, since pausing also revokes the browser's leases.
+ */
+export function validateBrowserConfigOverrides(overrides: any): { valid: boolean; error?: string } {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { valid: false, error: 'Browser config must be a JSON object' };
+  }
+
+  const controlKeys = Object.keys(overrides).filter(key => key === 'paused' || key === 'draining');
+  if (controlKeys.length > 0) {
+    return {
+      valid: false,
+      error: `${controlKeys.join(' and ')} can only be changed with POST /admin/browsers/:browserId/pause, /drain or /resume`
+    };
+  }
+
+  const allowedKeys = ['pollIntervalMs', 'concurrency', 'enabledTaskTypes'];
+  const unknownKeys = Object.keys(overrides).filter(key => !allowedKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    return { valid: false, error: `Unknown browser config fields: ${unknownKeys.join(', ')}` };
+  }
+
+  const { pollIntervalMs, concurrency, enabledTaskTypes } = overrides;
+
+  if (pollIntervalMs !== undefined && pollIntervalMs !== null &&
+      (!Number.isInteger(pollIntervalMs) || pollIntervalMs < MIN_POLL_INTERVAL_MS || pollIntervalMs > MAX_POLL_INTERVAL_MS)) {
+    return { valid: false, error: `pollIntervalMs must be between ${MIN_POLL_INTERVAL_MS} and ${MAX_POLL_INTERVAL_MS}` };
+  }
+  if (concurrency !== undefined && concurrency !== null &&
+      (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY)) {
+    return { valid: false, error: `concurrency must be between 1 and ${MAX_CONCURRENCY}` };
+  }
+  if (enabledTaskTypes !== undefined && enabledTaskTypes !== null) {
+    const taskTypesValidation = validateTaskTypes(enabledTaskTypes);
+    if (!taskTypesValidation.valid) {
+      return { valid: false, error: `enabledTaskTypes: ${taskTypesValidation.error}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * The task types a browser may lease: what it advertises, limited to the enabled types.
+ * Returns undefined for "any type" and an empty array when nothing may be leased.
+ */
+export function resolveLeaseTaskTypes(advertised: string[] | undefined, config: BrowserConfig): string[] | undefined {
+  if (!config.enabledTaskTypes) {
+    return advertised;
+  }
+  if (!advertised) {
+    return config.enabledTaskTypes;
+  }
+  return advertised.filter(taskType => config.enabledTaskTypes!.includes(taskType));
+}
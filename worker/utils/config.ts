@@ -0,0 +1,88 @@
+/**
+ * System Configuration Utilities
+ * Typed access to the system_config table with built-in defaults
+ */
+
+import type { RetryPolicies } from './retry-policy';
+
+export interface SystemConfig {
+  lease_duration_ms: number;
+  max_retries: number;
+  webhook_timeout_ms: number;
+  max_content_size_bytes: number;
+  heartbeat_interval_ms: number;
+  idle_poll_interval_ms: number;
+  upload_part_size_bytes: number;
+  max_upload_size_bytes: number;
+  upload_token_ttl_ms: number;
+  require_browser_auth: boolean;
+  browsers_paused: boolean;
+  browser_poll_interval_ms: number | null;
+  browser_concurrency: number | null;
+  enabled_task_types: string[] | null;
+  retry_policies: RetryPolicies;
+}
+
+/**
+ * Defaults matching the rows seeded by d1-schema.sql
+ */
+export const DEFAULT_SYSTEM_CONFIG: SystemConfig = {
+  lease_duration_ms: 30 * 60 * 1000, // 30 minutes
+  max_retries: 3,
+  webhook_timeout_ms: 30000,
+  max_content_size_bytes: 10 * 1024 * 1024, // 10MB
+  heartbeat_interval_ms: 5 * 60 * 1000, // 5 minutes
+  idle_poll_interval_ms: 60 * 1000, // 1 minute
+  upload_part_size_bytes: 8 * 1024 * 1024, // 8MB
+  max_upload_size_bytes: 500 * 1024 * 1024, // 500MB
+  upload_token_ttl_ms: 15 * 60 * 1000, // 15 minutes
+  require_browser_auth: true,
+  browsers_paused: false,
+  browser_poll_interval_ms: null,
+  browser_concurrency: null,
+  enabled_task_types: null,
+  retry_policies: {
+    default: { strategy: 'backoff', baseDelayMs: 60 * 1000, maxDelayMs: 60 * 60 * 1000 }
+  }
+};
+
+/**
+ * Parse a config value according to its config_type
+ */
+export function parseConfigValue(value: string, type: string): any {
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'json':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Load system configuration from D1, falling back to defaults for missing keys
+ */
+export async function getSystemConfig(db: D1Database): Promise<SystemConfig> {
+  const config: any = { ...DEFAULT_SYSTEM_CONFIG };
+
+  try {
+    const result = await db.prepare(`
+      SELECT config_key, config_value, config_type FROM system_config
+    `).all();
+
+    for (const row of (result.results || []) as any[]) {
+      try {
+        config[row.config_key] = parseConfigValue(row.config_value, row.config_type);
+      } catch (error) {
+        console.warn(`Invalid system_config value for ${row.config_key}, using default`);
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load system_config, using defaults:', (error as Error).message);
+  }
+
+  return config as SystemConfig;
+}
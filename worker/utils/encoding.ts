@@ -0,0 +1,88 @@
+/**
+ * Encoding Utilities
+ * Base64 and compressed request body decoding for content submission
+ */
+
+type CompressionFormat = 'gzip' | 'deflate' | 'deflate-raw';
+
+/**
+ * Content-Encoding values accepted for raw submissions, mapped to their DecompressionStream format.
+ * Brotli is not listed because Workers' DecompressionStream cannot decode it.
+ */
+export const SUPPORTED_CONTENT_ENCODINGS: Record<string, CompressionFormat | null> = {
+  identity: null,
+  gzip: 'gzip',
+  deflate: 'deflate'
+};
+
+export class ContentTooLargeError extends Error {
+  constructor(maxBytes: number) {
+    super(`Content exceeds the maximum size of ${maxBytes} bytes`);
+    this.name = 'ContentTooLargeError';
+  }
+}
+
+/**
+ * Decode base64 into raw bytes (atob alone yields a Latin-1 string, which mangles UTF-8)
+ */
+export function decodeBase64(base64: string): Uint8Array {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Encode raw bytes as base64
+ */
+export function encodeBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Read a request body, decompressing it according to Content-Encoding.
+ * Stops reading as soon as the decoded size passes maxBytes, so a small compressed
+ * body cannot expand into an unbounded buffer.
+ */
+export async function readDecodedBody(
+  body: ReadableStream,
+  encoding: string,
+  maxBytes: number
+): Promise<Uint8Array> {
+  const format = SUPPORTED_CONTENT_ENCODINGS[encoding];
+  const stream = format ? body.pipeThrough(new DecompressionStream(format)) : body;
+  const reader = stream.getReader();
+
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new ContentTooLargeError(maxBytes);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Extract the charset parameter from a Content-Type header, if any
+ */
+export function getCharset(contentType: string | null): string | null {
+  const match = contentType?.match(/;\s*charset=("?)([^";\s]+)\1/i);
+  return match ? match[2].toLowerCase() : null;
+}
@@ -0,0 +1,41 @@
+/**
+ * Task Failure Utilities
+ * The categories a browser reports to POST /fail
+ */
+
+export const FAILURE_CATEGORIES = [
+  'navigation_error',
+  'timeout',
+  'http_4xx',
+  'rate_limited', // 429, which a later attempt can get past
+  'http_5xx',
+  'blocked',
+  'captcha',
+  'auth_required',
+  'script_error'
+] as const;
+
+export type FailureCategory = typeof FAILURE_CATEGORIES[number];
+
+// Reports without a category are retried like any failure the browser couldn't place
+export const DEFAULT_FAILURE_CATEGORY: FailureCategory = 'navigation_error';
+
+// Another attempt at the same URL won't get a different answer
+const PERMANENT_FAILURES: string[] = ['http_4xx', 'auth_required', 'script_error'];
+
+/**
+ * Validate a reported failure category
+ */
+export function validateFailureCategory(category: any): { valid: boolean; error?: string } {
+  if (!FAILURE_CATEGORIES.includes(category)) {
+    return { valid: false, error: `category must be one of: ${FAILURE_CATEGORIES.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Failures that dead-letter the job unless retry_policies has a policy for the category
+ */
+export function isPermanentFailure(errorType: string): boolean {
+  return PERMANENT_FAILURES.includes(errorType);
+}
@@ -6,7 +6,7 @@
 export const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Signature, X-Delivery-Id',
+  'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, Authorization, X-Signature, X-Delivery-Id, X-Part-Sha256',
   'Access-Control-Max-Age': '86400'
 };
 
@@ -105,15 +105,6 @@ export function getBearerToken(request: Request): string | null {
   return authHeader.substring(7);
 }
 
-/**
- * Validate API token (placeholder for future implementation)
- */
-export async function validateApiToken(token: string): Promise<boolean> {
-  // TODO: Implement token validation against D1
-  // For now, accept any non-empty token
-  return Boolean(token && token.length > 0);
-}
-
 /**
  * Rate limiting helper (placeholder for future implementation)
  */
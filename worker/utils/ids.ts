@@ -21,6 +21,53 @@ export function generateLeaseId(): string {
   return `L_${timestamp}_${random}`;
 }
 
+/**
+ * Generate a unique upload session ID
+ */
+export function generateUploadId(): string {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 12);
+  return `up_${timestamp}_${random}`;
+}
+
+// 32 unambiguous characters for codes that are typed in by hand (no 0/O, 1/I)
+const ENROLLMENT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a one-time enrollment code (60 bits), e.g. ABCD-EFGH-JKLM
+ * Uses crypto.getRandomValues since the code grants a browser token
+ */
+export function generateEnrollmentCode(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  const chars = Array.from(bytes, b => ENROLLMENT_CODE_ALPHABET[b % ENROLLMENT_CODE_ALPHABET.length]);
+  return [0, 4, 8].map(i => chars.slice(i, i + 4).join('')).join('-');
+}
+
+/**
+ * Generate a browser auth token (256 random bits)
+ */
+export function generateBrowserToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `bt_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Generate a unique API token ID (safe to show and log, unlike the token itself)
+ */
+export function generateTokenId(): string {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 8);
+  return `tok_${timestamp}_${random}`;
+}
+
+/**
+ * Generate an API token secret (256 random bits)
+ */
+export function generateApiToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `at_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
 /**
  * Generate a unique delivery ID for webhooks
  */
@@ -0,0 +1,161 @@
+/**
+ * Retry Policy Engine
+ * Decides what happens to a job after a failed attempt (a POST /fail report or an expired lease):
+ * requeue it right away, requeue it after a backoff, or move it to the dead-letter state
+ * (failed) and send the failed webhook. Policies come from retry_policies in system_config.
+ */
+
+import { Env } from '../index';
+import { getSystemConfig } from './config';
+import { generateRetryId, getCurrentTimestamp } from './ids';
+import { isPermanentFailure } from './failures';
+
+export type RetryStrategy = 'immediate' | 'backoff' | 'none';
+
+export interface RetryPolicy {
+  strategy: RetryStrategy;
+  maxRetries?: number; // defaults to max_retries
+  baseDelayMs?: number; // backoff: delay before the first retry, doubled for each one after
+  maxDelayMs?: number;
+}
+
+/**
+ * A failure category's policy wins over a content type's, which wins over a task type's;
+ * fields a policy leaves out come from default. A category policy also retries a category
+ * that is otherwise permanent.
+ */
+export interface RetryPolicies {
+  default: RetryPolicy;
+  categories?: Record<string, Partial<RetryPolicy>>;
+  contentTypes?: Record<string, Partial<RetryPolicy>>;
+  taskTypes?: Record<string, Partial<RetryPolicy>>;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  strategy: 'backoff',
+  baseDelayMs: 60 * 1000, // 1 minute
+  maxDelayMs: 60 * 60 * 1000 // 1 hour
+};
+
+export interface RetryDecision {
+  retry: boolean;
+  retryAt: number;
+  reason: string;
+}
+
+/**
+ * The failed attempt of a job; job needs job_id, attempts, task_name, content_type and callback fields
+ */
+export interface JobFailure {
+  leaseId: string;
+  errorType: string; // a failure category, or lease_expired
+  message: string;
+}
+
+/**
+ * Resolve the policy for a failed job from the failure category, its content type and task type
+ */
+export function getRetryPolicy(
+  policies: RetryPolicies | null,
+  job: { content_type?: string | null; task_name?: string },
+  errorType?: string
+): RetryPolicy {
+  const base = { ...DEFAULT_RETRY_POLICY, ...policies?.default };
+  const specific = (errorType && policies?.categories?.[errorType]) ||
+    (job.content_type && policies?.contentTypes?.[job.content_type]) ||
+    (job.task_name && policies?.taskTypes?.[job.task_name]) ||
+    {};
+  return { ...base, ...specific };
+}
+
+/**
+ * Whether a failure category dead-letters the job under these policies
+ */
+export function isDeadLetterFailure(policies: RetryPolicies | null, errorType: string): boolean {
+  return isPermanentFailure(errorType) && !policies?.categories?.[errorType];
+}
+
+/**
+ * Decide whether a job goes back to the queue after failing attempts times;
+ * maxRetries counts retries, so a job runs at most maxRetries + 1 times
+ */
+export function decideRetry(
+  policy: RetryPolicy,
+  errorType: string,
+  attempts: number,
+  maxRetries: number,
+  now: number = getCurrentTimestamp(),
+  permanent: boolean = isPermanentFailure(errorType)
+): RetryDecision {
+  const retryLimit = policy.maxRetries ?? maxRetries;
+
+  if (permanent) {
+    return { retry: false, retryAt: now, reason: `${errorType} is not retried` };
+  }
+  if (policy.strategy === 'none') {
+    return { retry: false, retryAt: now, reason: 'Retry policy does not retry' };
+  }
+  if (attempts > retryLimit) {
+    return { retry: false, retryAt: now, reason: `Gave up after ${attempts} attempts` };
+  }
+  if (policy.strategy === 'immediate') {
+    return { retry: true, retryAt: now, reason: `Retry ${attempts} of ${retryLimit} now` };
+  }
+
+  const delayMs = Math.min(
+    (policy.baseDelayMs ?? DEFAULT_RETRY_POLICY.baseDelayMs!) * Math.pow(2, attempts - 1),
+    policy.maxDelayMs ?? DEFAULT_RETRY_POLICY.maxDelayMs!
+  );
+  return { retry: true, retryAt: now + delayMs, reason: `Retry ${attempts} of ${retryLimit} in ${Math.round(delayMs / 1000)}s` };
+}
+
+/**
+ * Record a failed attempt in job_retries and requeue or dead-letter the job.
+ * The job must still be leased under failure.leaseId, otherwise nothing changes.
+ */
+export async function recordJobFailure(
+  env: Env,
+  job: Record<string, any>,
+  failure: JobFailure
+): Promise<RetryDecision & { attempts: number; state: 'queued' | 'failed' } | null> {
+  const config = await getSystemConfig(env.DB);
+  const now = getCurrentTimestamp();
+  const jobId = job.job_id as string;
+
+  const attempts = (job.attempts as number) + 1;
+  const policy = getRetryPolicy(config.retry_policies, job, failure.errorType);
+  const permanent = isDeadLetterFailure(config.retry_policies, failure.errorType);
+  const decision = decideRetry(policy, failure.errorType, attempts, config.max_retries, now, permanent);
+  const state = decision.retry ? 'queued' : 'failed';
+
+  const [, update] = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO job_retries (retry_id, job_id, retry_attempt, error_type, error_details, retry_at, created_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM jobs WHERE job_id = ? AND lease_id = ? AND state = 'leased')
+    `).bind(generateRetryId(), jobId, attempts, failure.errorType, failure.message, decision.retryAt, now, jobId, failure.leaseId),
+
+    env.DB.prepare(`
+      UPDATE jobs
+      SET state = ?, attempts = ?, error_message = ?, lease_id = NULL, lease_until = NULL, updated_at = ?
+      WHERE job_id = ? AND lease_id = ? AND state = 'leased'
+    `).bind(state, attempts, `${failure.errorType}: ${failure.message}`, now, jobId, failure.leaseId)
+  ]);
+
+  if (!update.meta.changes) {
+    return null;
+  }
+
+  if (state === 'failed' && job.callback_url && env.CALLBACKS_QUEUE) {
+    await env.CALLBACKS_QUEUE.send({
+      job_id: jobId,
+      phase: 'failed',
+      callback_url: job.callback_url,
+      callback_secret_id: job.callback_secret_id
+    });
+  }
+
+  console.log(`${decision.retry ? '🔄' : '💀'} Job ${jobId} failed (${failure.errorType}): ${failure.message}. ${decision.reason}`);
+
+  return { ...decision, attempts, state };
+}
@@ -0,0 +1,78 @@
+/**
+ * Upload Token Utilities
+ * Short-lived HMAC-signed tokens authorizing a single PUT /upload/:token into R2
+ */
+
+import { encodeBase64, decodeBase64 } from './encoding';
+
+export interface UploadTokenClaims {
+  jobId: string;
+  leaseId: string;
+  r2Key: string;
+  contentType: string;
+  maxBytes: number;
+  exp: number; // epoch ms
+}
+
+/**
+ * Sign claims as <base64url(json)>.<base64url(hmac-sha256)>
+ */
+export async function createUploadToken(claims: UploadTokenClaims, secret: string): Promise<string> {
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+  const key = await importSigningKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a token's signature and expiry, returning its claims or null
+ */
+export async function verifyUploadToken(token: string, secret: string): Promise<UploadTokenClaims | null> {
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  let claims: UploadTokenClaims;
+  try {
+    const key = await importSigningKey(secret);
+    // crypto.subtle.verify compares in constant time
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature).buffer as ArrayBuffer,
+      new TextEncoder().encode(payload)
+    );
+    if (!valid) {
+      return null;
+    }
+    claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+    return null;
+  }
+
+  return claims;
+}
+
+async function importSigningKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  return encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text: string): Uint8Array {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return decodeBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
@@ -113,6 +113,63 @@ export function validateTaskName(taskName: string): { valid: boolean; error?: st
   return { valid: true };
 }
 
+/**
+ * Validate the task types a browser advertises when leasing
+ */
+export function validateTaskTypes(taskTypes: any): { valid: boolean; error?: string } {
+  if (!Array.isArray(taskTypes) || taskTypes.length === 0) {
+    return { valid: false, error: 'taskTypes must be a non-empty array of task names' };
+  }
+  
+  for (const taskType of taskTypes) {
+    const taskNameValidation = validateTaskName(taskType);
+    if (!taskNameValidation.valid) {
+      return taskNameValidation;
+    }
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Validate a browser pool name
+ */
+export function validatePool(pool: any): { valid: boolean; error?: string } {
+  if (typeof pool !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(pool)) {
+    return { valid: false, error: 'pool must be 1-64 letters, numbers, hyphens or underscores' };
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Validate routing tags: the tags a browser advertises, or the tags a job requires
+ * (e.g. region=eu, logged-in:linkedin)
+ */
+export function validateTags(tags: any, field: string = 'tags'): { valid: boolean; error?: string } {
+  if (!Array.isArray(tags) || tags.length > 20) {
+    return { valid: false, error: `${field} must be an array of at most 20 tags` };
+  }
+  
+  const invalid = tags.find(tag => typeof tag !== 'string' || !/^[a-zA-Z0-9_.:=-]{1,64}$/.test(tag));
+  if (invalid !== undefined) {
+    return { valid: false, error: `${field}: "${invalid}" must be 1-64 letters, numbers or _ . : = -` };
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Validate task parameters (stored as params_json)
+ */
+export function validateTaskParams(params: any): { valid: boolean; error?: string } {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { valid: false, error: 'paramsJson must be a JSON object' };
+  }
+  
+  return { valid: true };
+}
+
 /**
  * Validate webhook URL
  */
@@ -269,10 +326,12 @@ export interface ValidationResult {
 export function validateCreateTaskRequest(body: any): ValidationResult {
   const errors: string[] = [];
   
-  // Validate browser ID
-  const browserIdValidation = validateBrowserId(body.browserId);
-  if (!browserIdValidation.valid) {
-    errors.push(browserIdValidation.error!);
+  // Validate browser ID (optional; unpinned jobs are routed by pool or tags)
+  if (body.browserId !== undefined && body.browserId !== null) {
+    const browserIdValidation = validateBrowserId(body.browserId);
+    if (!browserIdValidation.valid) {
+      errors.push(browserIdValidation.error!);
+    }
   }
   
   // Validate task name